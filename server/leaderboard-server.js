@@ -0,0 +1,398 @@
+/**
+ * Memory Match Pro - Reference Leaderboard Server
+ * Minimal Node HTTP server that keeps scores in a JSON file and verifies each
+ * submission by replaying its move log against the seeded deal
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GameEngine = require('../src/js/engine.js');
+const { ReplayFormat, ReplayPlayer } = require('../src/js/replay.js');
+
+const PORT = Number(process.env.PORT) || 3001;
+const DB_FILE = process.env.LEADERBOARD_DB || path.join(__dirname, 'data', 'scores.json');
+const MAX_BODY_SIZE = 256 * 1024;
+const MAX_NAME_LENGTH = 20;
+const MAX_ENTRIES_PER_TABLE = 100;
+
+// No human turns a card over faster than this after their previous flip, or turns over the partner
+// of a card they have just seen for the first time faster than the second limit (ms)
+const MIN_FLIP_INTERVAL = 150;
+const MIN_RECALL_TIME = 350;
+
+// Pairs found by turning over two unseen cards are luck; a log whose combined odds of that luck
+// fall below this is far more likely to come from a player who dealt the board themselves
+const MIN_LUCK_CHANCE = 1e-6;
+
+// Seeds for ranked games are handed out by the server, and each one ranks a single game
+const SEED_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_OUTSTANDING_SEEDS = 10000;
+
+// Study boards are dealt from each player's weak pairs, so they cannot be checked against the seed
+const RANKED_MODES = ['classic', 'timeAttack', 'survival'];
+
+class ScoreStore {
+    constructor(file) {
+        this.file = file;
+        this.scores = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        // Write to a temp file first so a crash never leaves half a JSON file behind
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.scores, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    // Same tables as the client's HighScoreTable: one per difficulty, mode and level, with classic
+    // level 1 under the plain difficulty the file used before modes and levels
+    static getKey({ difficulty, mode = 'classic', level = 1 }) {
+        return mode === 'classic' && level === 1 ? difficulty : `${difficulty}_${mode}_${level}`;
+    }
+
+    // Same ordering as the client's HighScoreTable: score, then fewer moves, then less time
+    static compare(a, b) {
+        return b.score - a.score || a.moves - b.moves || a.time - b.time;
+    }
+
+    // Own keys only, so a difficulty like 'constructor' is an empty table rather than an inherited property
+    table(key) {
+        return Object.prototype.hasOwnProperty.call(this.scores, key) ? this.scores[key] : [];
+    }
+
+    add(entry) {
+        const key = ScoreStore.getKey(entry);
+        const previous = this.table(key);
+        const table = [...previous, entry]
+            .sort(ScoreStore.compare)
+            .slice(0, MAX_ENTRIES_PER_TABLE);
+
+        // A score that could not be written is not ranked either
+        this.scores[key] = table;
+        try {
+            this.save();
+        } catch (error) {
+            this.scores[key] = previous;
+            throw error;
+        }
+
+        return table.indexOf(entry);
+    }
+
+    top(board, limit) {
+        return this.table(ScoreStore.getKey(board)).slice(0, limit);
+    }
+}
+
+// Seeds issued for ranked games, in issue order; kept in memory, so a restart forgets them
+class SeedIssuer {
+    constructor(now = () => Date.now()) {
+        this.now = now;
+        this.seeds = new Map();
+    }
+
+    issue() {
+        this.prune();
+
+        let seed;
+        do {
+            seed = crypto.randomBytes(4).readUInt32BE(0);
+        } while (this.seeds.has(seed));
+
+        this.seeds.set(seed, this.now());
+        return seed;
+    }
+
+    // True for a seed this server issued that has neither expired nor been redeemed before
+    redeem(seed) {
+        const issuedAt = this.seeds.get(seed);
+        this.seeds.delete(seed);
+
+        return issuedAt !== undefined && this.now() - issuedAt <= SEED_TTL;
+    }
+
+    // Drops expired seeds, and the oldest ones once too many are outstanding
+    prune() {
+        const cutoff = this.now() - SEED_TTL;
+
+        for (const [seed, issuedAt] of this.seeds) {
+            if (issuedAt >= cutoff && this.seeds.size < MAX_OUTSTANDING_SEEDS) break;
+            this.seeds.delete(seed);
+        }
+    }
+}
+
+// Plays the log through the seeded deal the way its player saw it: returns why no person could
+// have played it, or null. A card counts as seen once it has been face up at its place on the board.
+function checkPace(replay) {
+    let clock = 0;
+    const engine = new GameEngine({
+        difficulty: replay.difficulty,
+        mode: replay.mode,
+        level: replay.level,
+        now: () => clock
+    });
+    engine.start({ seed: replay.seed, deal: replay.deal });
+
+    const seen = new Set();
+    let lastFlip = null;
+    let chance = 1;
+
+    for (const { time, cardId } of ReplayFormat.toTimeline(replay)) {
+        clock = time;
+
+        if (cardId === ReplayFormat.CONCEAL) {
+            engine.concealMismatch();
+            continue;
+        }
+
+        if (lastFlip !== null && time - lastFlip.time < MIN_FLIP_INTERVAL) {
+            return 'Move log contains impossibly fast flips';
+        }
+
+        // The card this one completes a pair with, if any is face up
+        const open = engine.hasPendingMismatch() ? null : engine.flippedCards[0] || null;
+        const unseen = engine.cards.filter(card => !card.isMatched && !card.isFlipped && !seen.has(card.id)).length;
+        const wasSeen = seen.has(cardId);
+        const matchedPairs = engine.matchedPairs;
+
+        if (!engine.flip(cardId)) continue;
+        seen.add(cardId);
+
+        if (open && engine.matchedPairs > matchedPairs) {
+            if (!wasSeen) {
+                chance /= unseen;
+            } else if (lastFlip.revealed && time - lastFlip.time < MIN_RECALL_TIME) {
+                return 'Move log matches pairs faster than anyone could recall them';
+            }
+        }
+
+        if (chance < MIN_LUCK_CHANCE) {
+            return 'Move log finds too many pairs without having seen them';
+        }
+
+        lastFlip = { time, revealed: !wasSeen };
+    }
+
+    return null;
+}
+
+function verifySubmission(submission, seeds) {
+    if (!submission || typeof submission !== 'object') {
+        return { error: 'Submission must be a JSON object' };
+    }
+
+    const { difficulty, mode, seed, score, moves, time } = submission;
+    const name = (typeof submission.name === 'string' ? submission.name.trim().slice(0, MAX_NAME_LENGTH) : '') || 'Player';
+
+    // Own keys only: a name like 'constructor' would otherwise deal a board of NaN cards
+    if (!Object.prototype.hasOwnProperty.call(GameEngine.DIFFICULTIES, difficulty)) {
+        return { error: `Unknown difficulty: ${difficulty}` };
+    }
+    if (!RANKED_MODES.includes(mode)) {
+        return { error: `Mode is not ranked: ${mode}` };
+    }
+
+    // Also bounds the level, so the engine is never asked to grow a board for billions of levels
+    let replay;
+    try {
+        replay = ReplayFormat.validate(submission.replay);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (replay.seed !== seed || replay.difficulty !== difficulty || (replay.mode || 'classic') !== mode) {
+        return { error: 'Move log does not belong to this seed, difficulty and mode' };
+    }
+
+    // Triples and quads score differently, so only pair games share the rankings
+    if ((replay.groupSize || 2) !== 2) {
+        return { error: 'Only pair games are ranked' };
+    }
+
+    // Ranked boards are dealt from the classic emoji, where every pair shows one face twice; faces
+    // grouped by the client would let any cards it likes match
+    if (replay.pairs && replay.pairs.length > 0) {
+        return { error: 'Only games of the classic symbols are ranked' };
+    }
+
+    // Hot-seat scores are shared between players
+    if (replay.players && replay.players.length > 0) {
+        return { error: 'Only single-player games are ranked' };
+    }
+
+    // Spent even when the rest of the check fails, so a seed cannot be tried again and again
+    if (!seeds.redeem(seed)) {
+        return { error: 'Seed was not issued by this server or has already been used' };
+    }
+
+    // The deal must be exactly what the seed produces
+    const dealer = new GameEngine({ difficulty, level: replay.level });
+    dealer.start({ seed });
+    const expectedDeal = dealer.cards.map(card => card.symbol);
+    if (expectedDeal.join('\u0000') !== replay.deal.join('\u0000')) {
+        return { error: 'Deal does not match the seed' };
+    }
+
+    const paceError = checkPace(replay);
+    if (paceError) {
+        return { error: paceError };
+    }
+
+    // Replay the whole game and compare the outcome with what was claimed
+    const player = new ReplayPlayer(replay);
+    player.seek(player.duration);
+    const engine = player.engine;
+
+    if (engine.status !== 'completed') {
+        return { error: 'Move log does not complete the board' };
+    }
+    if (engine.score !== score || engine.moves !== moves || engine.getElapsedTime() !== time) {
+        return { error: 'Claimed result does not match the move log' };
+    }
+
+    return {
+        entry: { name, difficulty, mode, level: replay.level, seed, score, moves, time, date: Date.now() }
+    };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handleRequest(req, res, store, seeds) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, {});
+        return;
+    }
+
+    // A seed for the next ranked game
+    if (url.pathname === '/seeds') {
+        if (req.method === 'POST') {
+            sendJson(res, 201, { seed: seeds.issue() });
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        return;
+    }
+
+    if (url.pathname !== '/scores') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        const difficulty = url.searchParams.get('difficulty');
+        const mode = url.searchParams.get('mode') || 'classic';
+        const level = Number(url.searchParams.get('level') || 1);
+
+        if (!Object.prototype.hasOwnProperty.call(GameEngine.DIFFICULTIES, difficulty)) {
+            sendJson(res, 400, { error: `Unknown difficulty: ${difficulty}` });
+            return;
+        }
+        if (!RANKED_MODES.includes(mode)) {
+            sendJson(res, 400, { error: `Mode is not ranked: ${mode}` });
+            return;
+        }
+        if (!Number.isInteger(level) || level < 1 || level > GameEngine.MAX_LEVEL) {
+            sendJson(res, 400, { error: `Invalid level: ${url.searchParams.get('level')}` });
+            return;
+        }
+
+        const limit = Math.min(Number(url.searchParams.get('limit')) || 10, MAX_ENTRIES_PER_TABLE);
+        sendJson(res, 200, { difficulty, mode, level, entries: store.top({ difficulty, mode, level }, limit) });
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let submission;
+        try {
+            submission = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, 400, { error: 'Invalid JSON body' });
+            return;
+        }
+
+        // A submission that trips up the checks is refused like any other, never left to crash the server
+        let result;
+        try {
+            result = verifySubmission(submission, seeds);
+        } catch (error) {
+            console.error('Leaderboard submission failed to verify:', error);
+            result = { error: 'Submission could not be verified' };
+        }
+
+        const { entry, error } = result;
+        if (error) {
+            sendJson(res, 422, { error });
+            return;
+        }
+
+        const rank = store.add(entry);
+        sendJson(res, 201, { rank: rank === -1 ? null : rank + 1, entry });
+        return;
+    }
+
+    sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+function createServer(store = new ScoreStore(DB_FILE), seeds = new SeedIssuer()) {
+    return http.createServer(async (req, res) => {
+        // Whatever goes wrong with one request, a disk error included, fails only that request
+        try {
+            await handleRequest(req, res, store, seeds);
+        } catch (error) {
+            console.error('Leaderboard request failed:', error);
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🏆 Leaderboard server listening on http://localhost:${PORT} (data: ${DB_FILE})`);
+    });
+}
+
+module.exports = { createServer, verifySubmission, checkPace, ScoreStore, SeedIssuer };
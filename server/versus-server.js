@@ -0,0 +1,319 @@
+/**
+ * Memory Match Pro - Online Versus Relay
+ * WebSocket server that owns the board, turn order and scores for two-player rooms
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const GameEngine = require('../src/js/engine.js');
+
+const PORT = Number(process.env.PORT) || 3002;
+const RECONNECT_GRACE = Number(process.env.RECONNECT_GRACE) || 30000;
+const MISMATCH_DELAY = 1000;
+const MAX_NAME_LENGTH = 20;
+const SEAT_COLORS = ['#FF6B6B', '#4ECDC4'];
+
+// No 0/O or 1/I so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+// Own keys only: names such as 'constructor' or '__proto__' come from Object.prototype
+const hasOwn = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+/*
+ * Messages are JSON objects with a `type`.
+ * Client -> server: create { name, difficulty, groupSize }, join { code, name }, rejoin { code, token },
+ *                   flip { cardId, revision }, sync, leave
+ * Server -> client: joined { code, seat, token }, state { state }, reject { cardId, reason },
+ *                   error { message }
+ */
+class Room {
+    constructor(code, difficulty, groupSize, onClose) {
+        this.code = code;
+        this.difficulty = difficulty;
+        this.groupSize = groupSize;
+        this.onClose = onClose;
+        this.seats = [];
+        this.status = 'waiting';
+        this.forfeitedBy = null;
+        this.revision = 0;
+        this.mismatchTimeout = null;
+
+        this.engine = new GameEngine({ difficulty, groupSize });
+
+        // Every change to the board goes out to both players
+        ['flip', 'match', 'conceal', 'turn'].forEach(event => {
+            this.engine.on(event, () => this.broadcast());
+        });
+        this.engine.on('mismatch', () => {
+            this.broadcast();
+            this.mismatchTimeout = setTimeout(() => this.engine.concealMismatch(), MISMATCH_DELAY);
+        });
+        this.engine.on('complete', () => {
+            this.status = 'completed';
+            this.broadcast();
+            this.closeWhenEmpty();
+        });
+    }
+
+    get isFull() {
+        return this.seats.length === SEAT_COLORS.length;
+    }
+
+    addSeat(name, socket) {
+        const seat = {
+            name: (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '') || `Player ${this.seats.length + 1}`,
+            token: crypto.randomBytes(16).toString('hex'),
+            socket,
+            connected: true,
+            graceTimeout: null
+        };
+
+        this.seats.push(seat);
+        return this.seats.length - 1;
+    }
+
+    start() {
+        this.engine.start({
+            players: this.seats.map((seat, i) => ({ name: seat.name, color: SEAT_COLORS[i] }))
+        });
+        this.status = 'playing';
+        this.broadcast();
+    }
+
+    // Returns why the flip was refused, or null when it was applied
+    flip(seatIndex, cardId) {
+        if (this.status !== 'playing') return 'The game is not running';
+        if (seatIndex !== this.engine.currentPlayerIndex) return 'It is not your turn';
+        if (this.engine.hasPendingMismatch()) return 'Wait for the cards to turn back';
+        if (!this.engine.flip(cardId)) return 'That card cannot be flipped';
+
+        return null;
+    }
+
+    reconnect(seatIndex, socket) {
+        const seat = this.seats[seatIndex];
+
+        clearTimeout(seat.graceTimeout);
+        if (seat.socket && seat.socket !== socket) {
+            seat.socket.close();
+        }
+        seat.socket = socket;
+        seat.connected = true;
+
+        this.broadcast();
+    }
+
+    disconnect(seatIndex, socket) {
+        const seat = this.seats[seatIndex];
+        // A replaced connection closing late must not mark the new one as gone
+        if (!seat || seat.socket !== socket) return;
+
+        seat.socket = null;
+        seat.connected = false;
+
+        if (this.status === 'waiting') {
+            this.close();
+            return;
+        }
+
+        this.broadcast();
+
+        if (this.status === 'playing') {
+            seat.graceTimeout = setTimeout(() => this.forfeit(seatIndex), RECONNECT_GRACE);
+        } else {
+            this.closeWhenEmpty();
+        }
+    }
+
+    forfeit(seatIndex) {
+        if (this.status !== 'playing') return;
+
+        this.status = 'abandoned';
+        this.forfeitedBy = seatIndex;
+        clearTimeout(this.mismatchTimeout);
+
+        this.broadcast();
+        this.closeWhenEmpty();
+    }
+
+    closeWhenEmpty() {
+        if (this.seats.every(seat => !seat.connected)) {
+            this.close();
+        }
+    }
+
+    close() {
+        clearTimeout(this.mismatchTimeout);
+        this.seats.forEach(seat => clearTimeout(seat.graceTimeout));
+        this.engine.removeAllListeners();
+        this.onClose(this);
+    }
+
+    // What clients may see: symbols of face-down cards never leave the server
+    getState() {
+        const game = { ...this.engine.serialize(), status: this.status === 'abandoned' ? this.status : this.engine.status };
+        delete game.seed;
+        game.cards = game.cards.map(card => (card.isFlipped || card.isMatched ? card : { ...card, symbol: null, pairId: null }));
+
+        return {
+            code: this.code,
+            revision: this.revision,
+            status: this.status,
+            forfeitedBy: this.forfeitedBy,
+            difficulty: this.difficulty,
+            groupSize: this.groupSize,
+            seats: this.seats.map(seat => ({ name: seat.name, connected: seat.connected })),
+            game: this.engine.status === 'idle' ? null : game
+        };
+    }
+
+    send(seatIndex, message) {
+        const socket = this.seats[seatIndex] && this.seats[seatIndex].socket;
+        if (socket && socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    broadcast() {
+        this.revision++;
+        const state = this.getState();
+        this.seats.forEach((seat, i) => this.send(i, { type: 'state', state }));
+    }
+}
+
+function generateCode(rooms) {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+function createServer() {
+    const rooms = new Map();
+
+    // Plain HTTP answers a health check; games run over the WebSocket upgrade
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        res.end(JSON.stringify({ status: 'ok', rooms: rooms.size }));
+    });
+    server.rooms = rooms;
+
+    const wss = new WebSocketServer({ server });
+    const closeRoom = room => rooms.delete(room.code);
+
+    wss.on('connection', (socket) => {
+        let session = null;
+        const reply = message => socket.send(JSON.stringify(message));
+
+        const seat = (room, seatIndex) => {
+            session = { room, seatIndex };
+            const { code } = room;
+            reply({ type: 'joined', code, seat: seatIndex, token: room.seats[seatIndex].token });
+        };
+
+        const handlers = {
+            create(message) {
+                if (!hasOwn(GameEngine.DIFFICULTIES, message.difficulty)) {
+                    return reply({ type: 'error', message: `Unknown difficulty: ${message.difficulty}` });
+                }
+                const groupSize = message.groupSize || 2;
+                if (!Number.isInteger(groupSize) || !hasOwn(GameEngine.GROUP_SIZES, groupSize)) {
+                    return reply({ type: 'error', message: `Unknown group size: ${message.groupSize}` });
+                }
+
+                const room = new Room(generateCode(rooms), message.difficulty, groupSize, closeRoom);
+                rooms.set(room.code, room);
+                seat(room, room.addSeat(message.name, socket));
+                room.broadcast();
+            },
+
+            join(message) {
+                const room = rooms.get(String(message.code || '').toUpperCase());
+                if (!room) return reply({ type: 'error', code: 'unknown-room', message: 'No room with that code' });
+                if (room.isFull) return reply({ type: 'error', code: 'room-full', message: 'That room is already full' });
+
+                seat(room, room.addSeat(message.name, socket));
+                room.start();
+            },
+
+            rejoin(message) {
+                const room = rooms.get(message.code);
+                const seatIndex = room ? room.seats.findIndex(s => s.token === message.token) : -1;
+                if (seatIndex === -1) {
+                    return reply({ type: 'error', code: 'unknown-session', message: 'That game is no longer available' });
+                }
+
+                seat(room, seatIndex);
+                room.reconnect(seatIndex, socket);
+            },
+
+            flip(message) {
+                if (!session) return reply({ type: 'error', message: 'Join a room first' });
+
+                const { room, seatIndex } = session;
+                const reason = room.flip(seatIndex, message.cardId);
+
+                // The client's view disagreed with ours: say why and send the real state
+                if (reason) {
+                    room.send(seatIndex, { type: 'reject', cardId: message.cardId, reason });
+                    room.send(seatIndex, { type: 'state', state: room.getState() });
+                }
+            },
+
+            sync() {
+                if (session) reply({ type: 'state', state: session.room.getState() });
+            },
+
+            leave() {
+                if (!session) return;
+
+                session.room.forfeit(session.seatIndex);
+                session.room.disconnect(session.seatIndex, socket);
+                session = null;
+            }
+        };
+
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                reply({ type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+
+            const type = message && message.type;
+            if (typeof type !== 'string' || !hasOwn(handlers, type)) {
+                reply({ type: 'error', message: typeof type === 'string' ? `Unknown message type: ${type}` : 'Messages need a type' });
+                return;
+            }
+
+            // A message the room cannot handle costs that client an error frame, never the whole relay
+            try {
+                handlers[type](message);
+            } catch (error) {
+                console.error(`Versus ${type} message failed:`, error);
+                reply({ type: 'error', message: 'The server could not handle that message' });
+            }
+        });
+
+        socket.on('close', () => {
+            if (session) session.room.disconnect(session.seatIndex, socket);
+        });
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🌐 Versus relay listening on ws://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createServer, Room };
@@ -0,0 +1,120 @@
+/**
+ * Memory Match Pro - AI Opponent
+ * A computer player that only knows the cards it has seen turned over
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class MemoryBot {
+    constructor(engine, options = {}) {
+        const preset = MemoryBot.PRESETS[options.level] || MemoryBot.PRESETS.normal;
+
+        this.engine = engine;
+        this.capacity = options.capacity !== undefined ? options.capacity : preset.capacity;
+        this.forgetRate = options.forgetRate !== undefined ? options.forgetRate : preset.forgetRate;
+        this.random = options.random || Math.random;
+
+        // Card id -> pair id for face-up cards it has seen, oldest first
+        this.memory = new Map();
+
+        // Cards are only learned from flips, the same moment a human sees them; like a human, it is not
+        // told which cards a swap moved and finds out only by turning them over again
+        this.handlers = {
+            start: () => this.memory.clear(),
+            restore: () => this.memory.clear(),
+            flip: card => this.remember(card.id, card.pairId),
+            match: cards => cards.forEach(card => this.memory.delete(card.id))
+        };
+
+        Object.entries(this.handlers).forEach(([event, handler]) => engine.on(event, handler));
+    }
+
+    remember(cardId, pairId) {
+        // Seeing a card again makes it the freshest memory
+        this.memory.delete(cardId);
+        this.memory.set(cardId, pairId);
+
+        while (this.memory.size > this.capacity) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    // Each memory fades with the preset's probability once per turn
+    forget() {
+        [...this.memory.keys()].forEach(cardId => {
+            if (this.random() < this.forgetRate) {
+                this.memory.delete(cardId);
+            }
+        });
+    }
+
+    // Next card to flip, or null when there is nothing left to flip
+    chooseCard() {
+        const available = this.engine.cards
+            .filter(card => !card.isMatched && !card.isFlipped)
+            .map(card => card.id);
+        if (available.length === 0) return null;
+
+        const unknown = available.filter(cardId => !this.memory.has(cardId));
+        const [firstCard] = this.engine.flippedCards;
+
+        if (firstCard) {
+            // Later cards of a set: go for a partner of the cards already turned over if one is remembered
+            const pairId = this.memory.get(firstCard.id);
+            const partner = available.find(cardId => pairId !== undefined && this.memory.get(cardId) === pairId);
+            if (partner !== undefined) return partner;
+
+            return this.pick(unknown.length > 0 ? unknown : available);
+        }
+
+        this.forget();
+
+        const knownSet = this.findKnownSet(available);
+        if (knownSet) return knownSet[0];
+
+        return this.pick(unknown.length > 0 ? unknown : available);
+    }
+
+    // A whole set of face-down cards that are all remembered
+    findKnownSet(available) {
+        const seen = new Map();
+
+        for (const cardId of available) {
+            const pairId = this.memory.get(cardId);
+            if (pairId === undefined) continue;
+
+            const cardIds = [...(seen.get(pairId) || []), cardId];
+            if (cardIds.length === this.engine.groupSize) return cardIds;
+            seen.set(pairId, cardIds);
+        }
+
+        return null;
+    }
+
+    pick(cardIds) {
+        return cardIds[Math.floor(this.random() * cardIds.length)];
+    }
+
+    // Pause before each flip so the bot reads like a person thinking
+    getThinkingDelay() {
+        return MemoryBot.MIN_DELAY + this.random() * (MemoryBot.MAX_DELAY - MemoryBot.MIN_DELAY);
+    }
+
+    detach() {
+        Object.entries(this.handlers).forEach(([event, handler]) => this.engine.off(event, handler));
+    }
+}
+
+MemoryBot.MIN_DELAY = 600;
+MemoryBot.MAX_DELAY = 1400;
+
+MemoryBot.PRESETS = {
+    easy: { name: '🤖 Rookie Bot', capacity: 4, forgetRate: 0.35 },
+    normal: { name: '🤖 Bot', capacity: 10, forgetRate: 0.1 },
+    perfect: { name: '🤖 Perfect Bot', capacity: Infinity, forgetRate: 0 }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryBot;
+}
@@ -0,0 +1,128 @@
+/**
+ * Memory Match Pro - Memory Analytics
+ * Per-card reveal counts and known-but-missed errors for the game-over screen
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+// Shared modules are globals in the browser and CommonJS modules under Node
+const analyticsDeps = typeof module !== 'undefined' && module.exports
+    ? { StatsManager: require('./stats.js').StatsManager, ColorUtils: require('./utils.js').ColorUtils }
+    : { StatsManager, ColorUtils };
+
+class MemoryAnalytics {
+    constructor(engine) {
+        this.engine = engine;
+        this.reset();
+
+        this.handlers = {
+            start: () => this.reset(),
+            flip: card => this.track(card)
+        };
+
+        Object.entries(this.handlers).forEach(([event, handler]) => engine.on(event, handler));
+    }
+
+    reset() {
+        // Later cards of an attempt flipped while a partner of its first card was already seen
+        this.knownHits = 0;
+        this.knownMisses = 0;
+    }
+
+    // Reveal counts live on the cards (timesSeen); only the choices need watching
+    track(card) {
+        const [first] = this.engine.flippedCards;
+        if (card === first) return;
+
+        if (card.pairId === first.pairId) {
+            // Turned over before, so it was found from memory rather than by luck
+            if (card.timesSeen > 1) {
+                this.knownHits++;
+            }
+            return;
+        }
+
+        const partnerSeen = this.engine.cards.some(other =>
+            other.pairId === first.pairId && !other.isFlipped && !other.isMatched && other.timesSeen > 0
+        );
+        if (partnerSeen) {
+            this.knownMisses++;
+        }
+    }
+
+    // Share of attempts where a seen partner was remembered; a board without such a chance is perfect
+    get perfectMemory() {
+        const chances = this.knownHits + this.knownMisses;
+        return chances === 0 ? 100 : Math.round((this.knownHits / chances) * 100);
+    }
+
+    getSummary() {
+        return {
+            accuracy: analyticsDeps.StatsManager.calculateAccuracy(this.engine.getResult()),
+            perfectMemory: this.perfectMemory,
+            knownHits: this.knownHits,
+            knownMisses: this.knownMisses,
+            reveals: this.engine.cards.map(card => card.timesSeen)
+        };
+    }
+
+    serialize() {
+        return { knownHits: this.knownHits, knownMisses: this.knownMisses };
+    }
+
+    // Continues counting a restored game from its saved tallies
+    resume(data) {
+        this.reset();
+        if (!data) return;
+
+        this.knownHits = data.knownHits || 0;
+        this.knownMisses = data.knownMisses || 0;
+    }
+
+    detach() {
+        Object.entries(this.handlers).forEach(([event, handler]) => this.engine.off(event, handler));
+    }
+}
+
+class MemoryHeatmap {
+    // One cell per card in board order, from green at a single reveal to red at HOT_REVEALS or more
+    static draw(canvas, reveals, cols) {
+        const ctx = canvas && canvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = canvas;
+        const rows = Math.ceil(reveals.length / cols);
+        const gap = 4;
+        const cellWidth = (width - gap) / cols - gap;
+        const cellHeight = (height - gap) / rows - gap;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = `${Math.max(10, Math.min(cellWidth, cellHeight) * 0.4)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        reveals.forEach((count, i) => {
+            const x = gap + (i % cols) * (cellWidth + gap);
+            const y = gap + Math.floor(i / cols) * (cellHeight + gap);
+            const heat = Math.min(1, Math.max(0, count - 1) / (this.HOT_REVEALS - 1));
+
+            // Never-revealed cards stay grey
+            ctx.fillStyle = count === 0
+                ? 'rgba(255, 255, 255, 0.15)'
+                : analyticsDeps.ColorUtils.interpolateColors(this.COLD_COLOR, this.HOT_COLOR, heat);
+            ctx.fillRect(x, y, cellWidth, cellHeight);
+
+            ctx.fillStyle = '#fff';
+            ctx.fillText(count, x + cellWidth / 2, y + cellHeight / 2);
+        });
+    }
+}
+
+MemoryHeatmap.HOT_REVEALS = 5;
+MemoryHeatmap.COLD_COLOR = '#4CAF50';
+MemoryHeatmap.HOT_COLOR = '#F44336';
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemoryAnalytics, MemoryHeatmap };
+}
@@ -202,6 +202,7 @@ class AudioManager {
         this.sounds.set('victory', () => this.playMelody([440, 554, 659, 880]));
         this.sounds.set('error', () => this.playBeep(200, 300));
         this.sounds.set('click', () => this.playBeep(800, 50));
+        this.sounds.set('levelUp', () => this.playMelody([523, 659, 784, 1047]));
     }
     
     playBeep(frequency, duration) {
@@ -0,0 +1,132 @@
+/**
+ * Memory Match Pro - Daily Challenge
+ * One shared, date-derived board per UTC day with streak and calendar tracking
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class DailyChallenge {
+    // UTC date key (YYYY-MM-DD) so every player gets the same board on the same day
+    static getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static getSeed(dateKey = this.getDateKey()) {
+        return `daily-${dateKey}`;
+    }
+
+    static shiftDateKey(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.getDateKey(date);
+    }
+
+    static load() {
+        return StorageManager.loadGameData(this.STORAGE_KEY, { results: {}, streak: 0, bestStreak: 0, lastCompleted: null });
+    }
+
+    static save(data) {
+        return StorageManager.saveGameData(this.STORAGE_KEY, data);
+    }
+
+    static getResult(dateKey = this.getDateKey()) {
+        return this.load().results[dateKey] || null;
+    }
+
+    static hasAttempted(dateKey = this.getDateKey()) {
+        return this.getResult(dateKey) !== null;
+    }
+
+    // The scored attempt is used up as soon as it starts, so abandoning it does not allow a retry
+    static startAttempt(dateKey = this.getDateKey()) {
+        const data = this.load();
+        if (data.results[dateKey]) return false;
+
+        data.results[dateKey] = { status: 'started', startedAt: Date.now() };
+        this.save(data);
+        return true;
+    }
+
+    static recordResult(result, dateKey = this.getDateKey()) {
+        const data = this.load();
+        const entry = data.results[dateKey];
+        if (!entry || entry.status !== 'started') return null;
+
+        data.results[dateKey] = {
+            status: result.won ? 'completed' : 'failed',
+            score: result.score,
+            moves: result.moves,
+            time: result.time
+        };
+
+        if (result.won) {
+            const continues = data.lastCompleted === this.shiftDateKey(dateKey, -1);
+            data.streak = continues ? data.streak + 1 : 1;
+            data.bestStreak = Math.max(data.bestStreak, data.streak);
+            data.lastCompleted = dateKey;
+        }
+
+        this.save(data);
+        return data.results[dateKey];
+    }
+
+    // A streak is only current while yesterday's or today's challenge was completed
+    static getStreak(dateKey = this.getDateKey()) {
+        const data = this.load();
+        if (data.lastCompleted === dateKey || data.lastCompleted === this.shiftDateKey(dateKey, -1)) {
+            return data.streak;
+        }
+        return 0;
+    }
+
+    static getBestStreak() {
+        return this.load().bestStreak;
+    }
+
+    static renderCalendar(container, year, month) {
+        if (!container) return;
+
+        const results = this.load().results;
+        const todayKey = this.getDateKey();
+        const firstDay = new Date(Date.UTC(year, month, 1));
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        // Monday-first week layout
+        const offset = (firstDay.getUTCDay() + 6) % 7;
+
+        const cells = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']
+            .map(day => `<div class="calendar-weekday">${day}</div>`);
+
+        for (let i = 0; i < offset; i++) {
+            cells.push('<div class="calendar-day empty"></div>');
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = this.getDateKey(new Date(Date.UTC(year, month, day)));
+            const result = results[dateKey];
+            const classes = ['calendar-day'];
+            let title = dateKey;
+
+            if (result) {
+                classes.push(result.status);
+                if (result.status === 'completed') {
+                    title += ` - ${result.score} pts, ${result.moves} moves`;
+                }
+            }
+            if (dateKey === todayKey) {
+                classes.push('today');
+            }
+
+            cells.push(`<div class="${classes.join(' ')}" title="${title}">${day}</div>`);
+        }
+
+        container.innerHTML = cells.join('');
+    }
+}
+
+DailyChallenge.STORAGE_KEY = 'dailyChallenge';
+DailyChallenge.DIFFICULTY = 'hard';
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DailyChallenge;
+}
@@ -0,0 +1,179 @@
+/**
+ * Memory Match Pro - Custom Decks
+ * Picture decks made from the player's own images, kept in IndexedDB
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Deck record, stored in the "decks" object store:
+ * {
+ *   id,                  // assigned by IndexedDB
+ *   name,
+ *   images: [Blob, ...], // square card faces, already cropped and downscaled
+ *   createdAt
+ * }
+ * Image i is the face of GameEngine.SYMBOLS[i], so saves, replays and scores keep using
+ * emoji and a picture that cannot be shown simply falls back to its emoji.
+ */
+class DeckStore {
+    static open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('This browser cannot store custom decks'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // A failed open is retried on the next call instead of being cached
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    // Runs one request against the store and resolves with its result
+    static async request(mode, run) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = run(transaction.objectStore(this.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    static list() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    static get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    // Resolves with the deck's id
+    static save(deck) {
+        if (!deck.name || !String(deck.name).trim()) {
+            return Promise.reject(new Error('Give the deck a name'));
+        }
+        if (!Array.isArray(deck.images) || deck.images.length < this.MIN_IMAGES) {
+            return Promise.reject(new Error(`A deck needs at least ${this.MIN_IMAGES} images`));
+        }
+        if (deck.images.length > this.MAX_IMAGES) {
+            return Promise.reject(new Error(`A deck can hold at most ${this.MAX_IMAGES} images`));
+        }
+
+        const record = {
+            ...deck,
+            name: String(deck.name).trim().slice(0, this.MAX_NAME_LENGTH),
+            createdAt: deck.createdAt || Date.now()
+        };
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    static delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+DeckStore.DB_NAME = 'memoryMatch_decks';
+DeckStore.DB_VERSION = 1;
+DeckStore.STORE_NAME = 'decks';
+DeckStore.dbPromise = null;
+
+// Enough for the smallest board; one picture for every emoji at most
+DeckStore.MIN_IMAGES = 3;
+DeckStore.MAX_IMAGES = 32;
+DeckStore.MAX_NAME_LENGTH = 30;
+
+class DeckImages {
+    static decode(blob) {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        return new Promise((resolve, reject) => {
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Image could not be decoded'));
+            image.src = url;
+        }).finally(() => URL.revokeObjectURL(url));
+    }
+
+    // Crops the middle square of an image file and scales it down to a card face
+    static async prepare(file) {
+        if (!file.type.startsWith('image/')) {
+            throw new Error(`${file.name} is not an image`);
+        }
+
+        let image;
+        try {
+            image = await this.decode(file);
+        } catch (error) {
+            throw new Error(`${file.name} could not be read as an image`);
+        }
+
+        const side = Math.min(image.naturalWidth, image.naturalHeight);
+        const size = Math.min(side, this.FACE_SIZE);
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(
+            image,
+            (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side,
+            0, 0, size, size
+        );
+
+        // Browsers without WebP encoding hand back a PNG instead
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`${file.name} could not be resized`));
+                }
+            }, 'image/webp', this.QUALITY);
+        });
+    }
+
+    // Emoji -> decoded face for every image that loads; the rest are left to draw as emoji.
+    // Bitmaps stay drawable for as long as they are kept, unlike images whose blob URL is gone
+    static async load(deck, symbols) {
+        const faces = new Map();
+
+        await Promise.all(deck.images.slice(0, symbols.length).map(async (blob, i) => {
+            try {
+                const face = typeof createImageBitmap === 'function'
+                    ? await createImageBitmap(blob)
+                    : await this.decode(blob);
+                faces.set(symbols[i], face);
+            } catch (error) {
+                console.warn(`Deck "${deck.name}": image ${i + 1} failed to decode, using ${symbols[i]}`);
+            }
+        }));
+
+        return faces;
+    }
+}
+
+DeckImages.FACE_SIZE = 256;
+DeckImages.QUALITY = 0.85;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeckStore, DeckImages };
+}
@@ -0,0 +1,599 @@
+/**
+ * Memory Match Pro - Game Engine
+ * Headless rules engine: dealing, flipping, matching and scoring without any DOM access
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+// Shared utilities are globals in the browser and CommonJS modules under Node
+const engineUtils = typeof module !== 'undefined' && module.exports
+    ? { ...require('./utils.js'), LevelCurriculum: require('./levels.js') }
+    : { EventEmitter, SeededRandom, LevelCurriculum };
+
+class GameEngine extends engineUtils.EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.difficulties = options.difficulties || GameEngine.DIFFICULTIES;
+        this.symbols = options.symbols || GameEngine.SYMBOLS;
+        this.difficulty = options.difficulty || 'medium';
+        this.level = options.level || 1;
+        this.mode = options.mode || 'classic';
+        this.groupSize = options.groupSize || 2;
+        this.players = [];
+        this.seed = null;
+        this.random = null;
+
+        // Injectable clock so bots, tests and servers can drive time themselves
+        this.now = options.now || (() => Date.now());
+
+        this.reset();
+    }
+
+    reset() {
+        this.status = 'idle';
+        this.cards = [];
+        this.flippedCards = [];
+        this.matchedPairs = 0;
+        this.score = 0;
+        this.moves = 0;
+        this.startTime = null;
+        this.endTime = null;
+        this.lossReason = null;
+        this.lastFlipAt = null;
+        this.pausedAt = null;
+        this.pausedTime = 0;
+        this.currentPlayerIndex = 0;
+
+        this.players.forEach(player => {
+            player.score = 0;
+            player.pairs = 0;
+        });
+    }
+
+    // The difficulty's board as grown and tightened by the level curriculum, sized to deal whole sets
+    get config() {
+        return engineUtils.LevelCurriculum.getConfig(this.difficulties[this.difficulty], this.level, this.groupSize);
+    }
+
+    get modeConfig() {
+        return GameEngine.MODES[this.mode];
+    }
+
+    // Countdown length in ms including seconds earned back by matches, or null without a countdown;
+    // time is given per two cards on the board, so bigger sets get no extra time
+    get timeLimit() {
+        const mode = this.modeConfig;
+        if (!mode.timePerPair) return null;
+
+        return mode.baseTime + (this.cards.length / 2) * mode.timePerPair + this.matchedPairs * mode.matchBonus;
+    }
+
+    getRemainingTime(at = this.now()) {
+        const limit = this.timeLimit;
+        return limit === null ? null : Math.max(0, limit - this.getElapsedTime(at));
+    }
+
+    // Move attempts still available in modes with a move budget, or null without one
+    get attemptsLeft() {
+        const mode = this.modeConfig;
+        if (!mode.attemptsPerPair) return null;
+
+        const budget = Math.ceil((this.cards.length / 2) * mode.attemptsPerPair);
+        return budget + this.matchedPairs * mode.matchRefund - this.moves;
+    }
+
+    get mechanics() {
+        return engineUtils.LevelCurriculum.getMechanics(this.level);
+    }
+
+    hasMechanic(name) {
+        return this.mechanics.includes(name);
+    }
+
+    get isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    // Hot-seat games have 2-4 players taking turns; a single player has no player list
+    get isMultiplayer() {
+        return this.players.length > 1;
+    }
+
+    get currentPlayer() {
+        return this.isMultiplayer ? this.players[this.currentPlayerIndex] : null;
+    }
+
+    // Sets of groupSize matching cards on the board; "pairs" predates triples and quads and is kept
+    // so saved games, replays and results stay readable
+    get totalPairs() {
+        return this.cards.length / this.groupSize;
+    }
+
+    start(options = {}) {
+        if (options.difficulty) {
+            if (!this.difficulties[options.difficulty]) {
+                throw new Error(`Unknown difficulty: ${options.difficulty}`);
+            }
+            this.difficulty = options.difficulty;
+        }
+
+        if (options.level) {
+            this.level = options.level;
+        }
+
+        if (options.mode) {
+            if (!GameEngine.MODES[options.mode]) {
+                throw new Error(`Unknown mode: ${options.mode}`);
+            }
+            this.mode = options.mode;
+        }
+
+        if (options.groupSize) {
+            if (!GameEngine.GROUP_SIZES[options.groupSize]) {
+                throw new Error(`Unknown group size: ${options.groupSize}`);
+            }
+            this.groupSize = options.groupSize;
+        }
+
+        // Leaving players out keeps the previous line-up; an empty list means a single player
+        if (options.players) {
+            if (options.players.length > GameEngine.MAX_PLAYERS) {
+                throw new Error(`At most ${GameEngine.MAX_PLAYERS} players can share a board`);
+            }
+            this.players = options.players.length > 1
+                ? options.players.map(({ name, color, bot }) => ({ name, color, bot: bot || null, score: 0, pairs: 0 }))
+                : [];
+        }
+
+        // Every deal comes from a seeded PRNG so the same seed always gives the same board
+        const seed = options.seed !== undefined && options.seed !== null
+            ? options.seed
+            : engineUtils.SeededRandom.generateSeed();
+        this.random = new engineUtils.SeededRandom(seed);
+        this.seed = this.random.seed;
+
+        this.reset();
+        this.createCards(options.deal);
+
+        this.status = 'playing';
+        this.startTime = this.now();
+
+        this.emit('start', this.getState());
+    }
+
+    // A symbol entry is one face shared by the whole set, or a list of faces that belong together
+    // such as a term and its definition; either way the set is known by its first face
+    static getFaces(entry) {
+        return Array.isArray(entry) ? entry : [entry];
+    }
+
+    // The set a face belongs to: the first face of its symbol entry, or the face itself
+    getPairId(face) {
+        const entry = this.symbols.find(symbol => Array.isArray(symbol) && symbol.includes(face));
+        return entry ? entry[0] : face;
+    }
+
+    // A recorded deal (faces in board order) can be passed in to rebuild an exact board
+    createCards(deal = null) {
+        const config = this.config;
+        const totalCards = config.rows * config.cols;
+        const pairsNeeded = totalCards / this.groupSize;
+        let cardData;
+
+        if (deal) {
+            if (deal.length !== totalCards) {
+                throw new Error(`Deal has ${deal.length} cards, expected ${totalCards}`);
+            }
+            cardData = deal.map(symbol => ({ symbol, pairId: this.getPairId(symbol) }));
+        } else {
+            // Draw this deal's symbols from the level's slice of the pool, which rotates as levels go up
+            const pool = engineUtils.LevelCurriculum.getSymbolPool(this.symbols, this.level, pairsNeeded);
+            const selectedSymbols = this.random.shuffle(pool).slice(0, pairsNeeded);
+
+            // Each copy of a set shows the next of its faces, so a term is dealt with its definition
+            cardData = Array.from({ length: this.groupSize }, (_, copy) => selectedSymbols.map(entry => {
+                const faces = GameEngine.getFaces(entry);
+                return { symbol: faces[copy % faces.length], pairId: faces[0] };
+            })).flat();
+
+            this.random.shuffle(cardData);
+        }
+
+        this.cards = cardData.map(({ symbol, pairId }, i) => ({
+            id: i,
+            row: Math.floor(i / config.cols),
+            col: i % config.cols,
+            symbol,
+            pairId,
+            isFlipped: false,
+            isMatched: false,
+            flipTime: 0,
+            timesSeen: 0,
+            owner: null
+        }));
+    }
+
+    canFlip(cardId) {
+        if (this.status !== 'playing' || this.isPaused) return false;
+
+        const card = this.cards[cardId];
+        return !!card && !card.isFlipped && !card.isMatched;
+    }
+
+    flip(cardId) {
+        // A flip that arrives after the countdown ran out ends the game instead
+        if (this.checkTimeLimit()) return false;
+
+        // A new flip hides an unresolved mismatch, so headless callers can just keep flipping
+        if (this.hasPendingMismatch()) {
+            this.concealMismatch();
+        }
+
+        if (!this.canFlip(cardId)) return false;
+
+        // Scoring and completion use the moment of the flip, not whenever listeners finish,
+        // so a replay of the recorded flip times reproduces the exact same result
+        this.lastFlipAt = this.now();
+
+        const card = this.cards[cardId];
+        card.isFlipped = true;
+        card.flipTime = this.getElapsedTime(this.lastFlipAt);
+        card.timesSeen++;
+        this.flippedCards.push(card);
+
+        this.emit('flip', card);
+
+        // An attempt ends with a full set or with the first card that does not belong to it
+        const [first] = this.flippedCards;
+        if (card.pairId !== first.pairId || this.flippedCards.length === this.groupSize) {
+            this.moves++;
+            this.checkMatch();
+        }
+
+        return true;
+    }
+
+    checkMatch() {
+        const cards = this.flippedCards;
+
+        if (cards.length === this.groupSize && cards.every(card => card.pairId === cards[0].pairId)) {
+            cards.forEach(card => {
+                card.isMatched = true;
+            });
+            this.matchedPairs++;
+            this.flippedCards = [];
+
+            const points = this.calculateScore();
+            this.score += points;
+
+            // The finder owns the set and keeps the turn
+            const player = this.currentPlayer;
+            if (player) {
+                player.score += points;
+                player.pairs++;
+                cards.forEach(card => {
+                    card.owner = this.currentPlayerIndex;
+                });
+            }
+
+            this.emit('match', cards);
+
+            if (this.matchedPairs === this.totalPairs) {
+                this.complete();
+            } else {
+                this.checkAttempts();
+            }
+            return true;
+        }
+
+        // Missing with a card that was already shown means it was forgotten
+        if (this.hasMechanic('seenPenalty')) {
+            const forgotten = cards.filter(card => card.timesSeen > 1).length;
+            const penalty = forgotten * GameEngine.SEEN_PENALTY;
+            this.score = Math.max(0, this.score - penalty);
+
+            if (this.currentPlayer) {
+                this.currentPlayer.score = Math.max(0, this.currentPlayer.score - penalty);
+            }
+        }
+
+        // Mismatched cards stay face up until concealMismatch() or the next flip
+        this.emit('mismatch', [...cards]);
+
+        if (this.hasMechanic('swap') && (this.moves - this.matchedPairs) % GameEngine.SWAP_EVERY === 0) {
+            this.swapHiddenCards();
+        }
+
+        if (!this.checkAttempts()) {
+            this.passTurn();
+        }
+        return false;
+    }
+
+    // A miss hands the turn to the next player
+    passTurn() {
+        if (!this.isMultiplayer) return;
+
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this.emit('turn', this.currentPlayer);
+    }
+
+    // Players by pairs found, then score; equal pairs share a rank, so a shared first place is a draw
+    getRanking() {
+        const ranked = [...this.players].sort((a, b) => b.pairs - a.pairs || b.score - a.score);
+
+        return ranked.map(player => ({
+            ...player,
+            rank: 1 + ranked.findIndex(other => other.pairs === player.pairs)
+        }));
+    }
+
+    // Ends a move-budget game once no attempts are left for the pairs still on the board
+    checkAttempts() {
+        if (this.status !== 'playing' || this.attemptsLeft === null) return false;
+        if (this.attemptsLeft > 0) return false;
+
+        this.lose('outOfMoves', this.lastFlipAt !== null ? this.lastFlipAt : this.now());
+        return true;
+    }
+
+    // Seeded by game seed and move count, so replays and restored games swap the same cards
+    swapHiddenCards() {
+        const hidden = this.cards.filter(card => !card.isFlipped && !card.isMatched);
+        if (hidden.length < 2) return;
+
+        const random = new engineUtils.SeededRandom(`${this.seed}:${this.moves}`);
+        const [card1, card2] = random.shuffle(hidden).slice(0, 2);
+
+        [card1.symbol, card2.symbol] = [card2.symbol, card1.symbol];
+        [card1.pairId, card2.pairId] = [card2.pairId, card1.pairId];
+        [card1.timesSeen, card2.timesSeen] = [card2.timesSeen, card1.timesSeen];
+
+        this.emit('swap', [card1, card2]);
+    }
+
+    // Face-up cards that cannot all belong to one set
+    hasPendingMismatch() {
+        const [first] = this.flippedCards;
+        return this.flippedCards.some(card => card.pairId !== first.pairId);
+    }
+
+    concealMismatch() {
+        if (!this.hasPendingMismatch()) return;
+
+        const cards = this.flippedCards;
+        cards.forEach(card => {
+            card.isFlipped = false;
+        });
+        this.flippedCards = [];
+
+        this.emit('conceal', cards);
+    }
+
+    // Bigger sets are harder to find, so each card beyond a pair adds 50 to the base
+    calculateScore() {
+        const baseScore = 50 * this.groupSize;
+        const timeBonus = Math.max(0, this.config.timeBonus - Math.floor(this.getElapsedTime(this.lastFlipAt) / 1000));
+        const movesPenalty = Math.max(0, this.moves * 5);
+
+        return Math.max(10, baseScore + timeBonus - movesPenalty);
+    }
+
+    // Ends a countdown game that has run out of time; callers poll this as the clock runs
+    checkTimeLimit() {
+        if (this.status !== 'playing' || this.timeLimit === null) return false;
+        if (this.getRemainingTime() > 0) return false;
+
+        // Stop the clock exactly at the limit so replays end on the same time
+        this.lose('timeout', this.startTime + this.pausedTime + this.timeLimit);
+        return true;
+    }
+
+    lose(reason, at = this.now()) {
+        this.endTime = at;
+        this.status = 'lost';
+        this.lossReason = reason;
+        this.flippedCards = [];
+
+        this.emit('lose', this.getResult());
+    }
+
+    complete() {
+        this.endTime = this.lastFlipAt !== null ? this.lastFlipAt : this.now();
+        this.status = 'completed';
+
+        // Final time bonus
+        const timeBonus = Math.max(0, 1000 - Math.floor(this.getElapsedTime() / 1000) * 10);
+        this.score += timeBonus;
+
+        this.emit('complete', this.getResult());
+    }
+
+    pause() {
+        if (this.status !== 'playing' || this.isPaused) return;
+
+        this.pausedAt = this.now();
+        this.emit('pause');
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+
+        this.pausedTime += this.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.emit('resume');
+    }
+
+    getElapsedTime(at = this.now()) {
+        if (this.startTime === null) return 0;
+
+        let end = at;
+        if (this.endTime !== null) {
+            end = this.endTime;
+        } else if (this.pausedAt !== null) {
+            end = this.pausedAt;
+        }
+
+        return Math.max(0, end - this.startTime - this.pausedTime);
+    }
+
+    getResult() {
+        return {
+            difficulty: this.difficulty,
+            mode: this.mode,
+            groupSize: this.groupSize,
+            level: this.level,
+            seed: this.seed,
+            score: this.score,
+            moves: this.moves,
+            matchedPairs: this.matchedPairs,
+            totalPairs: this.totalPairs,
+            time: this.getElapsedTime(),
+            won: this.status === 'completed',
+            lossReason: this.lossReason,
+            attemptsLeft: this.attemptsLeft,
+            players: this.isMultiplayer ? this.getRanking() : null
+        };
+    }
+
+    getState() {
+        return {
+            status: this.status,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            groupSize: this.groupSize,
+            level: this.level,
+            seed: this.seed,
+            rows: this.config.rows,
+            cols: this.config.cols,
+            mechanics: this.mechanics,
+            score: this.score,
+            moves: this.moves,
+            matchedPairs: this.matchedPairs,
+            totalPairs: this.totalPairs,
+            time: this.getElapsedTime(),
+            remainingTime: this.getRemainingTime(),
+            attemptsLeft: this.attemptsLeft,
+            players: this.players.map(player => ({ ...player })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            cards: this.cards.map(card => ({ ...card }))
+        };
+    }
+
+    // Plain-data snapshot of an in-progress game that restore() can rebuild exactly
+    serialize() {
+        return {
+            difficulty: this.difficulty,
+            mode: this.mode,
+            groupSize: this.groupSize,
+            level: this.level,
+            seed: this.seed,
+            cards: this.cards.map(({ symbol, pairId, isFlipped, isMatched, flipTime, timesSeen, owner }) => ({
+                symbol, pairId, isFlipped, isMatched, flipTime, timesSeen, owner
+            })),
+            players: this.players.map(player => ({ ...player })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            flippedCardIds: this.flippedCards.map(card => card.id),
+            matchedPairs: this.matchedPairs,
+            score: this.score,
+            moves: this.moves,
+            time: this.getElapsedTime()
+        };
+    }
+
+    restore(snapshot) {
+        if (!this.difficulties[snapshot.difficulty]) {
+            throw new Error(`Unknown difficulty: ${snapshot.difficulty}`);
+        }
+        if (!Array.isArray(snapshot.cards) || !Array.isArray(snapshot.flippedCardIds)) {
+            throw new Error('Snapshot is missing its cards');
+        }
+
+        this.difficulty = snapshot.difficulty;
+        this.mode = GameEngine.MODES[snapshot.mode] ? snapshot.mode : 'classic';
+        this.groupSize = GameEngine.GROUP_SIZES[snapshot.groupSize] ? snapshot.groupSize : 2;
+        this.level = snapshot.level || 1;
+        this.random = new engineUtils.SeededRandom(snapshot.seed);
+        this.seed = this.random.seed;
+
+        this.reset();
+        this.createCards(snapshot.cards.map(card => card.symbol));
+
+        // Saved pair ids win over the current symbols, which may have changed since the save
+        this.cards.forEach((card, i) => {
+            card.pairId = snapshot.cards[i].pairId ?? card.pairId;
+            card.isFlipped = !!snapshot.cards[i].isFlipped;
+            card.isMatched = !!snapshot.cards[i].isMatched;
+            card.flipTime = snapshot.cards[i].flipTime || 0;
+            card.timesSeen = snapshot.cards[i].timesSeen || 0;
+            card.owner = snapshot.cards[i].owner ?? null;
+        });
+        this.flippedCards = snapshot.flippedCardIds.map(id => this.cards[id]).filter(Boolean);
+        this.matchedPairs = snapshot.matchedPairs;
+        this.score = snapshot.score;
+        this.moves = snapshot.moves;
+
+        // reset() zeroed the players' tallies, so put the saved ones back
+        this.players = (snapshot.players || []).map(player => ({ ...player }));
+        this.currentPlayerIndex = snapshot.currentPlayerIndex || 0;
+
+        // Backdate the start so the timer carries on from the saved elapsed time;
+        // snapshots of finished games (as sent by the versus server) keep their clock stopped
+        this.status = snapshot.status || 'playing';
+        this.startTime = this.now() - snapshot.time;
+        this.endTime = this.status === 'playing' ? null : this.now();
+
+        this.emit('restore', this.getState());
+    }
+}
+
+// Difficulty configurations at level 1; LevelCurriculum grows them as the level rises
+GameEngine.DIFFICULTIES = {
+    easy: { rows: 2, cols: 3, timeBonus: 50 },
+    medium: { rows: 3, cols: 4, timeBonus: 100 },
+    hard: { rows: 4, cols: 4, timeBonus: 150 },
+    expert: { rows: 4, cols: 6, timeBonus: 200 }
+};
+
+// Game modes; countdown modes get baseTime + timePerPair per pair, plus matchBonus per match found,
+// move-budget modes get attemptsPerPair attempts per pair, plus matchRefund per match found;
+// study plays like classic on a board of the pairs due for review (see js/study.js)
+GameEngine.MODES = {
+    classic: { name: 'Classic' },
+    timeAttack: { name: 'Time Attack', baseTime: 10000, timePerPair: 4000, matchBonus: 3000 },
+    survival: { name: 'Survival', attemptsPerPair: 1.5, matchRefund: 1 },
+    study: { name: 'Study' }
+};
+
+// Cards per matching set: the classic pairs, or triples and quads
+GameEngine.GROUP_SIZES = {
+    2: { name: 'Pairs', unit: 'pair' },
+    3: { name: 'Triples', unit: 'triple' },
+    4: { name: 'Quads', unit: 'quad' }
+};
+
+// Hot-seat games seat up to this many players
+GameEngine.MAX_PLAYERS = 4;
+
+// The campaign stops rising here; boards, time bonus and mechanics have all topped out long before
+GameEngine.MAX_LEVEL = 99;
+
+// Points lost per already-seen card in a miss once the seenPenalty mechanic is unlocked
+GameEngine.SEEN_PENALTY = 20;
+
+// Misses between board swaps once the swap mechanic is unlocked
+GameEngine.SWAP_EVERY = 3;
+
+// Card symbols for different levels
+GameEngine.SYMBOLS = [
+    '🎯', '🎮', '🎲', '🎪', '🎨', '🎭', '🎵', '🎸',
+    '🚀', '🌟', '⭐', '💎', '🔥', '⚡', '🌈', '🦄',
+    '🐱', '🐶', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼',
+    '🍎', '🍊', '🍋', '🍌', '🍇', '🍓', '🥝', '🍑'
+];
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
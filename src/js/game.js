@@ -1,6 +1,6 @@
 /**
- * Memory Match Pro - Main Game Logic
- * Professional Memory Match game with advanced features
+ * Memory Match Pro - Game View
+ * Canvas rendering and DOM wiring on top of the headless GameEngine
  * @author Gzeu
  * @version 1.0.0
  */
@@ -10,42 +10,201 @@ class MemoryMatchGame {
         this.canvas = null;
         this.ctx = null;
         this.gameState = 'loading';
-        this.cards = [];
-        this.flippedCards = [];
-        this.matchedPairs = 0;
-        this.score = 0;
-        this.moves = 0;
-        this.level = 1;
-        this.startTime = null;
-        this.gameTime = 0;
         this.difficulty = 'medium';
-        this.isPaused = false;
+        this.mode = 'classic';
+        this.groupSize = 2;
+        
+        // Campaign level; daily challenges are dealt at their own level and leave it alone
+        this.level = 1;
+        
+        // Hot-seat line-up; with a count of 1 the game is single player
+        this.playerCount = 1;
+        this.vsBot = false;
+        this.botLevel = 'normal';
+        this.bot = null;
+        this.playerSetup = StorageManager.loadGameData('players', MemoryMatchGame.DEFAULT_PLAYERS.map(player => ({ ...player })));
+        this.playerPanelsKey = null;
+        this.cardRects = [];
+        this.daily = null;
+        this.calendarMonth = null;
+        
+        // Grades the pairs of a study-mode board, and how the last one went for the game-over screen
+        this.study = null;
+        this.studySummary = null;
+        
+        // A ?seed= URL parameter deals a shared board for the first game
+        this.urlSeed = new URLSearchParams(window.location.search).get('seed');
+        
+        // Headless rules engine; this class is the canvas and DOM view on top of it
+        this.engine = new GameEngine({ difficulty: this.difficulty });
+        this.bindEngineEvents();
+        
+        // Every game is recorded so it can be watched again or attached to bug reports
+        this.recorder = new ReplayRecorder(this.engine);
+        this.lastReplay = null;
+        
+        // Reveal counts and known-but-missed errors for the game-over screen
+        this.analytics = new MemoryAnalytics(this.engine);
+        
+        // Card animations in progress by card id ({ elapsed, duration }), advanced by the game loop
+        this.cardFlips = new Map();
+        this.cardShakes = new Map();
+        
+        // Fixed-step loop behind the animations, particles and HUD while a board is on screen
+        this.loop = new GameLoop({ update: step => this.update(step), render: alpha => this.renderFrame(alpha) });
+        this.hudElapsed = 0;
+        
+        // Canvas areas the next frame repaints; everything else is left as it was drawn
+        this.dirtyRegions = [];
+        this.fullRedraw = true;
+        
+        // Pinch-zoom on large boards (screen = board * scale + x, y) and the card a pointer is holding down
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pressedCardId = null;
+        
+        // Keyboard cursor: the card it is on, shown from the first key press until the pointer is used
+        this.focusCardId = null;
+        this.focusVisible = false;
+        this.rebindingAction = null;
+        this.replayPlayer = null;
+        this.leaderboard = null;
+        
+        // Online versus: the relay owns the game, this view only draws what it sends
+        this.versus = null;
+        
+        // Active picture deck ({ id, name, size, faces }) and the one being built in the deck editor
+        this.deck = null;
+        this.deckDraft = null;
         
         // Game settings
         this.settings = {
             volume: 70,
             visualEffects: true,
             animations: true,
-            theme: 'default'
+            haptics: true,
+            theme: 'default',
+            leaderboardUrl: '',
+            versusUrl: '',
+            deckId: null,
+            packId: PackLibrary.DEFAULT_PACK,
+            keyBindings: null
         };
         
-        // Difficulty configurations
-        this.difficulties = {
-            easy: { rows: 2, cols: 3, timeBonus: 50 },
-            medium: { rows: 3, cols: 4, timeBonus: 100 },
-            hard: { rows: 4, cols: 4, timeBonus: 150 },
-            expert: { rows: 4, cols: 6, timeBonus: 200 }
-        };
+        this.init();
+    }
+    
+    // Read-only views of the engine state kept for existing callers
+    get cards() {
+        return this.engine.cards;
+    }
+    
+    get flippedCards() {
+        return this.engine.flippedCards;
+    }
+    
+    get matchedPairs() {
+        return this.engine.matchedPairs;
+    }
+    
+    get score() {
+        return this.engine.score;
+    }
+    
+    get moves() {
+        return this.engine.moves;
+    }
+    
+    get gameTime() {
+        return this.engine.getElapsedTime();
+    }
+    
+    get isPaused() {
+        return this.engine.isPaused;
+    }
+    
+    // The engine being drawn: the live game, the one driven by the replay player, or the online mirror
+    get boardEngine() {
+        if (this.replayPlayer) return this.replayPlayer.engine;
+        if (this.versus && this.versus.state && this.versus.state.game) return this.versus.engine;
+        return this.engine;
+    }
+    
+    get difficulties() {
+        return this.engine.difficulties;
+    }
+    
+    get cardSymbols() {
+        return this.engine.symbols;
+    }
+    
+    bindEngineEvents() {
+        this.engine.on('flip', (card) => {
+            if (window.audioManager) {
+                window.audioManager.playSound('flip');
+            }
+            this.animateFlip([card]);
+            this.invalidateCard(card);
+        });
+        
+        this.engine.on('match', (cards) => {
+            if (window.audioManager) {
+                window.audioManager.playSound('match');
+            }
+            
+            if (this.settings.visualEffects) {
+                this.createMatchParticles(cards);
+            }
+            this.vibrate(MemoryMatchGame.HAPTICS.match);
+            
+            this.updateUI();
+            cards.forEach(card => this.invalidateCard(card));
+            
+            // A match keeps the turn, so the bot goes again
+            this.scheduleBotTurn();
+        });
+        
+        this.engine.on('mismatch', (cards) => {
+            this.vibrate(MemoryMatchGame.HAPTICS.mismatch);
+            this.updateUI();
+            this.animateShake(cards);
+            
+            // Leave the cards visible for a moment before flipping them back
+            this.mismatchTimeout = setTimeout(() => this.engine.concealMismatch(), this.getMismatchDelay());
+        });
+        
+        this.engine.on('turn', (player) => {
+            window.uiManager?.showToast(`${ValidationUtils.sanitizeString(player.name)}'s turn`, 'info', 1200);
+            this.updateUI();
+            this.scheduleBotTurn();
+        });
         
-        // Card symbols for different levels
-        this.cardSymbols = [
-            '🎯', '🎮', '🎲', '🎪', '🎨', '🎭', '🎵', '🎸',
-            '🚀', '🌟', '⭐', '💎', '🔥', '⚡', '🌈', '🦄',
-            '🐱', '🐶', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼',
-            '🍎', '🍊', '🍋', '🍌', '🍇', '🍓', '🥝', '🍑'
-        ];
+        this.engine.on('swap', () => {
+            window.uiManager?.showToast('🔀 Two face-down cards swapped places!', 'info', 1500);
+            this.invalidate();
+        });
         
-        this.init();
+        this.engine.on('conceal', (cards) => {
+            clearTimeout(this.mismatchTimeout);
+            this.animateFlip(cards);
+            cards.forEach(card => this.invalidateCard(card));
+            this.saveProgress();
+        });
+        
+        this.engine.on('complete', () => {
+            SaveGame.clear();
+            setTimeout(() => this.gameComplete(), 500);
+        });
+        
+        this.engine.on('lose', () => {
+            SaveGame.clear();
+            this.updateUI();
+            this.invalidate();
+            
+            if (window.audioManager) {
+                window.audioManager.playSound('error');
+            }
+            setTimeout(() => this.gameComplete(), 500);
+        });
     }
     
     async init() {
@@ -53,6 +212,9 @@ class MemoryMatchGame {
             this.setupCanvas();
             this.setupEventListeners();
             await this.loadAssets();
+            this.setupLeaderboard();
+            this.loadDeck(this.settings.deckId);
+            this.renderPackOptions();
             this.showStartScreen();
             this.updateLoadingProgress(100);
             this.hideLoadingScreen();
@@ -70,20 +232,55 @@ class MemoryMatchGame {
         
         this.ctx = this.canvas.getContext('2d');
         this.resizeCanvas();
+        this.updateBoardLabel();
         
-        // Setup canvas event listeners
-        this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
-        window.addEventListener('resize', this.resizeCanvas.bind(this));
+        // Pointer Events cover mouse, pen and touch alike. Taps flip as soon as the finger lifts,
+        // without the delay browsers give clicks while they wait for a double-tap
+        this.pointer = new PointerInput(this.canvas, event => this.getViewPoint(event));
+        this.pointer.on('press', point => {
+            this.hideFocus();
+            this.pressCard(this.toBoardPoint(point));
+        });
+        this.pointer.on('release', () => this.pressCard(null));
+        this.pointer.on('tap', point => this.handleBoardTap(this.toBoardPoint(point)));
+        this.pointer.on('pinch', ({ scale, x, y, dx, dy }) => this.zoomBoard(scale, x, y, dx, dy));
+        this.pointer.on('drag', ({ dx, dy }) => this.panBoard(dx, dy));
+        
+        // Turning a phone fires resize in most browsers, but not all of them, and not always last
+        this.onResize = () => this.resizeCanvas();
+        window.addEventListener('resize', this.onResize);
+        window.addEventListener('orientationchange', this.onResize);
+        screen.orientation?.addEventListener('change', this.onResize);
     }
     
+    // Sizes the board to the width of the page and the height left under the header. The backing
+    // store has a pixel per screen pixel for sharp cards on HiDPI screens; everything else,
+    // from drawing to hit-testing, works in CSS pixels (viewWidth × viewHeight)
     resizeCanvas() {
         const container = this.canvas.parentElement;
-        const rect = container.getBoundingClientRect();
+        const screenSize = DeviceUtils.getScreenSize();
+        const top = container.getBoundingClientRect().top + window.scrollY;
+        const margin = MemoryMatchGame.BOARD_MARGIN;
+        
+        this.viewWidth = Math.round(MathUtils.clamp(
+            container.clientWidth - margin, MemoryMatchGame.MIN_BOARD_SIZE, MemoryMatchGame.MAX_BOARD_WIDTH
+        ));
+        this.viewHeight = Math.round(MathUtils.clamp(
+            screenSize.height - top - margin, MemoryMatchGame.MIN_BOARD_SIZE, MemoryMatchGame.MAX_BOARD_HEIGHT
+        ));
+        
+        this.pixelRatio = screenSize.devicePixelRatio;
+        this.canvas.width = Math.round(this.viewWidth * this.pixelRatio);
+        this.canvas.height = Math.round(this.viewHeight * this.pixelRatio);
+        this.canvas.style.width = `${this.viewWidth}px`;
+        this.canvas.style.height = `${this.viewHeight}px`;
         
-        this.canvas.width = Math.min(rect.width - 40, 800);
-        this.canvas.height = Math.min(rect.height - 40, 600);
+        // Resizing the backing store resets the context, scale included; a new layout also ends any zoom
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyViewTransform();
+        this.layoutCards();
         
-        if (this.gameState === 'playing') {
+        if (this.gameState === 'playing' || this.gameState === 'replay' || this.gameState === 'online') {
             this.render();
         }
     }
@@ -91,22 +288,129 @@ class MemoryMatchGame {
     setupEventListeners() {
         // Game control buttons
         document.getElementById('start-game-btn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('continue-game-btn')?.addEventListener('click', () => this.continueGame());
         document.getElementById('pause-btn')?.addEventListener('click', () => this.togglePause());
         document.getElementById('resume-btn')?.addEventListener('click', () => this.togglePause());
         document.getElementById('restart-btn')?.addEventListener('click', () => this.restartGame());
         document.getElementById('main-menu-btn')?.addEventListener('click', () => this.showStartScreen());
         document.getElementById('play-again-btn')?.addEventListener('click', () => this.playAgain());
         document.getElementById('new-game-btn')?.addEventListener('click', () => this.newGame());
+        document.getElementById('level-up-continue-btn')?.addEventListener('click', () => this.startGame());
         
         // Settings
         document.getElementById('settings-btn')?.addEventListener('click', () => this.showSettings());
         document.getElementById('close-settings-btn')?.addEventListener('click', () => this.hideSettings());
         
+        // Daily challenge
+        document.getElementById('daily-challenge-btn')?.addEventListener('click', () => this.showDailyScreen());
+        document.getElementById('daily-play-btn')?.addEventListener('click', () => this.startDailyChallenge());
+        document.getElementById('daily-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('daily-prev-month')?.addEventListener('click', () => this.changeCalendarMonth(-1));
+        document.getElementById('daily-next-month')?.addEventListener('click', () => this.changeCalendarMonth(1));
+        
+        // Replays
+        document.getElementById('replays-btn')?.addEventListener('click', () => this.showReplaysScreen());
+        document.getElementById('study-btn')?.addEventListener('click', () => this.showStudyScreen());
+        document.getElementById('study-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('study-reset-btn')?.addEventListener('click', () => this.resetStudyProgress());
+        
+        // Keyboard help and key bindings
+        document.getElementById('keyboard-btn')?.addEventListener('click', () => this.toggleKeyboardHelp());
+        document.getElementById('keyboard-close-btn')?.addEventListener('click', () => this.toggleKeyboardHelp());
+        document.getElementById('keyboard-reset-btn')?.addEventListener('click', () => this.resetKeyBindings());
+        document.getElementById('replays-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('replay-import')?.addEventListener('change', (e) => this.importReplay(e.target));
+        document.getElementById('watch-replay-btn')?.addEventListener('click', () => this.watchReplay(this.lastReplay));
+        document.getElementById('export-replay-btn')?.addEventListener('click', () => {
+            if (this.lastReplay) ReplayLibrary.download(this.lastReplay);
+        });
+        document.getElementById('replay-play-btn')?.addEventListener('click', () => this.replayPlayer?.togglePlay());
+        document.getElementById('replay-seek')?.addEventListener('input', (e) => this.replayPlayer?.seek(Number(e.target.value)));
+        document.getElementById('replay-speed')?.addEventListener('change', (e) => this.replayPlayer?.setSpeed(Number(e.target.value)));
+        document.getElementById('replay-close-btn')?.addEventListener('click', () => this.closeReplay());
+        
+        // Online versus
+        document.getElementById('online-btn')?.addEventListener('click', () => this.showOnlineScreen());
+        document.getElementById('online-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('online-create-btn')?.addEventListener('click', () => this.createOnlineRoom());
+        document.getElementById('online-rejoin-btn')?.addEventListener('click', () => this.versus?.rejoin());
+        document.getElementById('versus-url')?.addEventListener('change', (e) => {
+            this.settings.versusUrl = e.target.value.trim();
+        });
+        document.getElementById('online-join-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.joinOnlineRoom(document.getElementById('online-code-input').value);
+        });
+        
+        // Custom decks
+        document.getElementById('deck-select')?.addEventListener('change', (e) => this.selectDeck(Number(e.target.value) || null));
+        document.getElementById('edit-decks-btn')?.addEventListener('click', () => this.showDeckScreen());
+        document.getElementById('deck-close-btn')?.addEventListener('click', () => this.closeDeckScreen());
+        document.getElementById('deck-save-btn')?.addEventListener('click', () => this.saveDeckDraft());
+        document.getElementById('deck-files')?.addEventListener('change', (e) => {
+            this.addDeckImages(e.target.files);
+            e.target.value = '';
+        });
+        const dropZone = document.getElementById('deck-drop-zone');
+        dropZone?.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone?.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            this.addDeckImages(e.dataTransfer.files);
+        });
+        
+        // Symbol packs
+        document.getElementById('pack-select')?.addEventListener('change', (e) => this.selectPack(e.target.value));
+        document.getElementById('pack-import')?.addEventListener('change', (e) => this.importPack(e.target));
+        document.getElementById('pack-export-btn')?.addEventListener('click', () => this.exportPack());
+        document.getElementById('pack-delete-btn')?.addEventListener('click', () => this.deletePack());
+        
+        // High scores
+        document.getElementById('highscores-btn')?.addEventListener('click', () => this.showHighScoresScreen());
+        document.getElementById('highscores-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('highscores-filter')?.addEventListener('change', () => this.renderHighScores());
+        document.getElementById('highscores-mode')?.addEventListener('change', () => this.renderHighScores());
+        document.getElementById('highscores-level')?.addEventListener('change', () => this.renderHighScores());
+        document.getElementById('highscores-source')?.addEventListener('change', () => this.renderHighScores());
+        document.getElementById('leaderboard-url')?.addEventListener('change', (e) => this.setLeaderboardUrl(e.target.value));
+        document.getElementById('highscore-entry')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitHighScore();
+        });
+        
+        // Statistics
+        document.getElementById('stats-btn')?.addEventListener('click', () => this.showStatsScreen());
+        document.getElementById('stats-close-btn')?.addEventListener('click', () => this.showStartScreen());
+        document.getElementById('stats-reset-btn')?.addEventListener('click', () => this.resetStats());
+        document.getElementById('stats-filter')?.addEventListener('change', () => this.renderStats());
+        
         // Difficulty selection
         document.querySelectorAll('.difficulty-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.selectDifficulty(e.target.dataset.level));
         });
         
+        // Mode selection
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.selectMode(e.target.dataset.mode));
+        });
+        
+        // Set size selection
+        document.querySelectorAll('.group-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.selectGroupSize(Number(e.target.dataset.group)));
+        });
+        
+        // Hot-seat players
+        document.querySelectorAll('.players-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.selectPlayerCount(e.target.dataset.players));
+        });
+        document.getElementById('bot-level')?.addEventListener('change', (e) => {
+            this.botLevel = e.target.value;
+        });
+        
         // Keyboard controls
         document.addEventListener('keydown', this.handleKeyPress.bind(this));
     }
@@ -137,6 +441,17 @@ class MemoryMatchGame {
     }
     
     applySettings() {
+        // Toggles show the saved settings
+        [['effects-toggle', 'visualEffects'], ['animations-toggle', 'animations'], ['haptics-toggle', 'haptics']]
+            .forEach(([id, key]) => document.getElementById(id)?.classList.toggle('active', this.settings[key]));
+        
+        // Turning animations off lands every card where it belongs straight away
+        if (!this.settings.animations) {
+            this.cardFlips.clear();
+            this.cardShakes.clear();
+            this.invalidate();
+        }
+        
         // Apply volume
         if (window.audioManager) {
             window.audioManager.setVolume(this.settings.volume / 100);
@@ -151,256 +466,1586 @@ class MemoryMatchGame {
         
         const volumeValue = document.getElementById('volume-value');
         if (volumeValue) volumeValue.textContent = `${this.settings.volume}%`;
+        
+        const leaderboardUrl = document.getElementById('leaderboard-url');
+        if (leaderboardUrl) leaderboardUrl.value = this.settings.leaderboardUrl;
+        
+        const versusUrl = document.getElementById('versus-url');
+        if (versusUrl) versusUrl.value = this.settings.versusUrl;
     }
     
-    updateLoadingProgress(percentage) {
-        const progressBar = document.getElementById('loading-progress');
-        if (progressBar) {
-            progressBar.style.width = `${percentage}%`;
-        }
+    setupLeaderboard() {
+        // ?leaderboard=<url> overrides the URL saved in settings; with neither, scores stay local
+        const urlEndpoint = new URLSearchParams(window.location.search).get('leaderboard');
+        this.leaderboard = new LeaderboardClient(urlEndpoint || this.settings.leaderboardUrl);
+        
+        this.leaderboard.on('submitted', (entry, response) => {
+            const rank = response.rank ? ` Global rank #${response.rank}.` : '';
+            window.uiManager?.showToast(`Score submitted to the online leaderboard.${rank}`, 'success');
+        });
+        this.leaderboard.on('rejected', (entry, reason) => {
+            window.uiManager?.showToast(`Leaderboard rejected your score: ${reason}`, 'error');
+        });
+        
+        document.getElementById('highscores-source')?.classList.toggle('hidden', !this.leaderboard.isEnabled);
     }
     
-    hideLoadingScreen() {
-        const loadingScreen = document.getElementById('loading-screen');
-        const gameContainer = document.getElementById('game-container');
+    setLeaderboardUrl(url) {
+        this.settings.leaderboardUrl = url.trim();
         
-        if (loadingScreen && gameContainer) {
-            loadingScreen.style.display = 'none';
-            gameContainer.classList.remove('hidden');
+        if (this.leaderboard) {
+            this.leaderboard.setEndpoint(this.settings.leaderboardUrl);
+            document.getElementById('highscores-source')?.classList.toggle('hidden', !this.leaderboard.isEnabled);
         }
     }
     
-    showStartScreen() {
-        this.gameState = 'menu';
-        this.hideAllOverlays();
-        document.getElementById('start-screen')?.classList.remove('hidden');
-    }
-    
-    selectDifficulty(level) {
-        this.difficulty = level;
-        document.querySelectorAll('.difficulty-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.level === level);
-        });
+    // Symbols the next deal draws from: a picture deck deals its own pictures and a symbol pack its
+    // own faces, both topped up with plain emoji when the board needs more sets than they have;
+    // study boards deal exactly the pack's pairs that are due, and the daily board never changes
+    getDealSymbols(difficulty, level, groupSize, mode) {
+        if (this.daily) return GameEngine.SYMBOLS;
+        
+        const { rows, cols } = LevelCurriculum.getConfig(this.difficulties[difficulty], level, groupSize);
+        const sets = (rows * cols) / groupSize;
+        
+        if (this.deck && mode !== 'study') {
+            return GameEngine.SYMBOLS.slice(0, Math.max(this.deck.size, sets));
+        }
+        
+        const pack = PackLibrary.get(this.settings.packId);
+        if (!pack || pack.symbols === GameEngine.SYMBOLS) return GameEngine.SYMBOLS;
+        
+        let symbols = PackFormat.getSymbols(pack);
+        if (mode === 'study') {
+            symbols = StudyScheduler.select(symbols, StudyProgress.load(pack.id), sets);
+        }
+        const faces = new Set(symbols.flat());
+        const fillers = GameEngine.SYMBOLS.filter(symbol => !faces.has(symbol));
+        return [...symbols, ...fillers.slice(0, Math.max(0, sets - symbols.length))];
     }
     
-    startGame() {
-        this.gameState = 'playing';
-        this.hideAllOverlays();
-        this.initializeGame();
-        this.startTimer();
+    renderPackOptions() {
+        const select = document.getElementById('pack-select');
+        if (!select) return;
         
-        // Show canvas and hide grid initially
-        this.canvas.style.display = 'block';
-        document.getElementById('game-grid')?.classList.add('hidden');
+        // A pack deleted or never imported on this device falls back to the classic emoji
+        if (!PackLibrary.get(this.settings.packId)) {
+            this.settings.packId = PackLibrary.DEFAULT_PACK;
+        }
+        
+        select.innerHTML = '';
+        PackLibrary.list().forEach(pack => {
+            const option = document.createElement('option');
+            option.value = pack.id;
+            option.textContent = pack.builtIn ? pack.name : `📦 ${pack.name}`;
+            select.appendChild(option);
+        });
+        select.value = this.settings.packId;
         
-        this.render();
+        const pack = PackLibrary.get(this.settings.packId);
+        document.getElementById('pack-delete-btn')?.classList.toggle('hidden', pack.builtIn);
     }
     
-    initializeGame() {
-        this.score = 0;
-        this.moves = 0;
-        this.matchedPairs = 0;
-        this.flippedCards = [];
-        this.startTime = Date.now();
-        
-        this.createCards();
-        this.updateUI();
+    selectPack(id) {
+        this.settings.packId = id;
+        this.saveSettings();
+        this.renderPackOptions();
     }
     
-    createCards() {
-        const config = this.difficulties[this.difficulty];
-        const totalCards = config.rows * config.cols;
-        const pairsNeeded = totalCards / 2;
-        
-        // Select symbols for this level
-        const selectedSymbols = this.cardSymbols.slice(0, pairsNeeded);
-        const cardData = [...selectedSymbols, ...selectedSymbols];
-        
-        // Shuffle cards
-        this.shuffleArray(cardData);
-        
-        // Create card objects
-        this.cards = [];
-        const cardWidth = (this.canvas.width - 60) / config.cols;
-        const cardHeight = (this.canvas.height - 60) / config.rows;
-        
-        for (let i = 0; i < totalCards; i++) {
-            const row = Math.floor(i / config.cols);
-            const col = i % config.cols;
-            
-            this.cards.push({
-                id: i,
-                symbol: cardData[i],
-                x: 30 + col * cardWidth,
-                y: 30 + row * cardHeight,
-                width: cardWidth - 10,
-                height: cardHeight - 10,
-                isFlipped: false,
-                isMatched: false,
-                flipTime: 0
-            });
+    async importPack(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        
+        try {
+            const pack = PackLibrary.import(await file.text());
+            this.selectPack(pack.id);
+            window.uiManager?.showToast(`Symbol pack "${ValidationUtils.sanitizeString(pack.name)}" imported and selected.`, 'success');
+        } catch (error) {
+            this.showError(`Could not import ${ValidationUtils.sanitizeString(file.name)}: ${ValidationUtils.sanitizeString(error.message)}`);
+        } finally {
+            input.value = '';
         }
     }
     
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    exportPack() {
+        const pack = PackLibrary.get(this.settings.packId);
+        if (pack) {
+            PackLibrary.download(pack);
         }
     }
     
-    handleCanvasClick(event) {
-        if (this.gameState !== 'playing' || this.isPaused) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        
-        // Scale coordinates if canvas is scaled
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+    async deletePack() {
+        const pack = PackLibrary.get(this.settings.packId);
+        if (!pack || pack.builtIn) return;
         
-        const clickX = x * scaleX;
-        const clickY = y * scaleY;
+        const confirmed = window.uiManager
+            ? await window.uiManager.showModal(`<p>Delete the symbol pack "${ValidationUtils.sanitizeString(pack.name)}"?</p>`, {
+                title: 'Delete Pack',
+                showCancel: true,
+                confirmText: 'Delete'
+            })
+            : true;
+        if (!confirmed) return;
         
-        this.handleCardClick(clickX, clickY);
+        PackLibrary.remove(pack.id);
+        this.selectPack(PackLibrary.DEFAULT_PACK);
     }
     
-    handleCardClick(x, y) {
-        if (this.flippedCards.length >= 2) return;
+    async loadDeck(id) {
+        const previous = this.deck;
+        this.deck = null;
         
-        const clickedCard = this.cards.find(card => 
-            x >= card.x && x <= card.x + card.width &&
-            y >= card.y && y <= card.y + card.height &&
-            !card.isFlipped && !card.isMatched
-        );
+        if (id) {
+            try {
+                const deck = await DeckStore.get(id);
+                if (!deck) throw new Error('it no longer exists');
+                
+                const faces = await DeckImages.load(deck, GameEngine.SYMBOLS);
+                this.deck = { id, name: deck.name, size: deck.images.length, faces };
+                
+                if (faces.size < deck.images.length) {
+                    window.uiManager?.showToast(`Some pictures in "${ValidationUtils.sanitizeString(deck.name)}" could not be shown and use emoji instead.`, 'warning');
+                }
+            } catch (error) {
+                this.settings.deckId = null;
+                this.saveSettings();
+                this.showError(`Could not load the card deck: ${ValidationUtils.sanitizeString(error.message)}`);
+            }
+        }
         
-        if (clickedCard) {
-            this.flipCard(clickedCard);
+        previous?.faces.forEach(face => face.close?.());
+        this.renderDeckOptions();
+        
+        if (this.gameState === 'playing' || this.gameState === 'replay' || this.gameState === 'online') {
+            this.render();
         }
     }
     
-    flipCard(card) {
-        card.isFlipped = true;
-        card.flipTime = Date.now();
-        this.flippedCards.push(card);
+    selectDeck(id) {
+        this.settings.deckId = id;
+        this.saveSettings();
+        this.loadDeck(id);
+    }
+    
+    async renderDeckOptions() {
+        const select = document.getElementById('deck-select');
+        if (!select) return;
         
-        // Play flip sound
-        if (window.audioManager) {
-            window.audioManager.playSound('flip');
+        let decks = [];
+        try {
+            decks = await DeckStore.list();
+        } catch (error) {
+            console.warn('Custom decks are unavailable:', error);
         }
         
-        if (this.flippedCards.length === 2) {
-            this.moves++;
-            this.updateUI();
+        select.innerHTML = '<option value="">😀 Emoji</option>';
+        decks.forEach(deck => {
+            const option = document.createElement('option');
+            option.value = deck.id;
+            option.textContent = `🖼️ ${deck.name} (${deck.images.length})`;
+            select.appendChild(option);
+        });
+        select.value = this.settings.deckId || '';
+    }
+    
+    showDeckScreen() {
+        this.hideAllOverlays();
+        this.deckDraft = { name: '', images: [], previews: [] };
+        document.getElementById('deck-name-input').value = '';
+        this.renderDeckDraft();
+        this.renderDeckList();
+        document.getElementById('deck-screen')?.classList.remove('hidden');
+    }
+    
+    closeDeckScreen() {
+        this.deckDraft?.previews.forEach(url => URL.revokeObjectURL(url));
+        this.deckDraft = null;
+        this.hideAllOverlays();
+        this.showSettings();
+    }
+    
+    // Files that are not images, or fail to decode, are skipped with a toast
+    async addDeckImages(files) {
+        if (!this.deckDraft) return;
+        
+        for (const file of Array.from(files || [])) {
+            if (this.deckDraft.images.length >= DeckStore.MAX_IMAGES) {
+                window.uiManager?.showToast(`A deck can hold at most ${DeckStore.MAX_IMAGES} images.`, 'warning');
+                break;
+            }
             
-            setTimeout(() => this.checkMatch(), 800);
+            try {
+                const blob = await DeckImages.prepare(file);
+                this.deckDraft.images.push(blob);
+                this.deckDraft.previews.push(URL.createObjectURL(blob));
+            } catch (error) {
+                window.uiManager?.showToast(ValidationUtils.sanitizeString(error.message), 'error');
+            }
         }
         
-        this.render();
+        this.renderDeckDraft();
+    }
+    
+    removeDeckImage(index) {
+        URL.revokeObjectURL(this.deckDraft.previews[index]);
+        this.deckDraft.images.splice(index, 1);
+        this.deckDraft.previews.splice(index, 1);
+        this.renderDeckDraft();
     }
     
-    checkMatch() {
-        const [card1, card2] = this.flippedCards;
+    renderDeckDraft() {
+        const grid = document.getElementById('deck-preview');
+        grid.innerHTML = '';
         
-        if (card1.symbol === card2.symbol) {
-            // Match found!
-            card1.isMatched = true;
-            card2.isMatched = true;
-            this.matchedPairs++;
-            
-            this.score += this.calculateScore();
+        this.deckDraft.previews.forEach((url, i) => {
+            const item = document.createElement('div');
+            item.className = 'deck-preview-item';
             
-            // Play match sound
-            if (window.audioManager) {
-                window.audioManager.playSound('match');
-            }
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = `Card ${i + 1}`;
             
-            // Add particle effects
-            if (this.settings.visualEffects) {
-                this.createMatchParticles(card1, card2);
-            }
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'deck-remove-btn';
+            removeBtn.title = 'Remove';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => this.removeDeckImage(i));
             
-            // Check if game is complete
-            if (this.matchedPairs === this.cards.length / 2) {
-                setTimeout(() => this.gameComplete(), 500);
-            }
-        } else {
-            // No match - flip cards back
-            card1.isFlipped = false;
-            card2.isFlipped = false;
-        }
+            item.append(image, removeBtn);
+            grid.appendChild(item);
+        });
         
-        this.flippedCards = [];
-        this.updateUI();
-        this.render();
+        const count = this.deckDraft.images.length;
+        document.getElementById('deck-count').textContent =
+            `${count} of ${DeckStore.MAX_IMAGES} images (at least ${DeckStore.MIN_IMAGES})`;
+        document.getElementById('deck-save-btn').disabled = count < DeckStore.MIN_IMAGES;
     }
     
-    calculateScore() {
-        const config = this.difficulties[this.difficulty];
-        const baseScore = 100;
-        const timeBonus = Math.max(0, config.timeBonus - Math.floor(this.gameTime / 1000));
-        const movesPenalty = Math.max(0, this.moves * 5);
+    async renderDeckList() {
+        const list = document.getElementById('deck-list');
+        list.innerHTML = '';
+        
+        let decks = [];
+        try {
+            decks = await DeckStore.list();
+        } catch (error) {
+            list.innerHTML = `<p class="replays-empty">${ValidationUtils.sanitizeString(error.message)}</p>`;
+            return;
+        }
         
-        return Math.max(10, baseScore + timeBonus - movesPenalty);
+        decks.forEach(deck => {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            
+            const label = document.createElement('span');
+            label.textContent = `${deck.name} · ${deck.images.length} images`;
+            
+            const useBtn = document.createElement('button');
+            useBtn.className = 'primary-btn';
+            useBtn.textContent = deck.id === this.settings.deckId ? 'In use' : 'Use';
+            useBtn.disabled = deck.id === this.settings.deckId;
+            useBtn.addEventListener('click', () => {
+                this.selectDeck(deck.id);
+                this.renderDeckList();
+            });
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteDeck(deck));
+            
+            item.append(label, useBtn, deleteBtn);
+            list.appendChild(item);
+        });
     }
     
-    createMatchParticles(card1, card2) {
-        // Create visual effects for matched cards
-        if (window.particleSystem) {
-            window.particleSystem.createBurst(card1.x + card1.width/2, card1.y + card1.height/2);
-            window.particleSystem.createBurst(card2.x + card2.width/2, card2.y + card2.height/2);
+    async saveDeckDraft() {
+        const name = document.getElementById('deck-name-input').value;
+        
+        try {
+            const id = await DeckStore.save({ name, images: this.deckDraft.images });
+            window.uiManager?.showToast('Deck saved and selected.', 'success');
+            this.showDeckScreen();
+            this.selectDeck(id);
+        } catch (error) {
+            window.uiManager?.showToast(`Could not save the deck: ${ValidationUtils.sanitizeString(error.message)}`, 'error');
         }
     }
     
-    gameComplete() {
-        this.gameState = 'completed';
-        
-        // Calculate final score with time bonus
-        const timeBonus = Math.max(0, 1000 - Math.floor(this.gameTime / 1000) * 10);
-        this.score += timeBonus;
-        
-        // Save best score
-        this.saveBestScore();
+    async deleteDeck(deck) {
+        const confirmed = window.uiManager
+            ? await window.uiManager.showModal(`<p>Delete the deck "${ValidationUtils.sanitizeString(deck.name)}"?</p>`, {
+                title: 'Delete Deck',
+                showCancel: true,
+                confirmText: 'Delete'
+            })
+            : true;
+        if (!confirmed) return;
         
-        // Show game over screen
-        this.showGameOverScreen();
+        try {
+            await DeckStore.delete(deck.id);
+        } catch (error) {
+            this.showError(`Could not delete the deck: ${ValidationUtils.sanitizeString(error.message)}`);
+            return;
+        }
         
-        // Play victory sound
-        if (window.audioManager) {
-            window.audioManager.playSound('victory');
+        if (this.settings.deckId === deck.id) {
+            this.selectDeck(null);
+        } else {
+            this.renderDeckOptions();
         }
+        this.renderDeckList();
     }
     
-    saveBestScore() {
-        const key = `bestScore_${this.difficulty}`;
-        const currentBest = localStorage.getItem(key) || 0;
+    updateLoadingProgress(percentage) {
+        const progressBar = document.getElementById('loading-progress');
+        if (progressBar) {
+            progressBar.style.width = `${percentage}%`;
+        }
+    }
+    
+    hideLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        const gameContainer = document.getElementById('game-container');
         
-        if (this.score > currentBest) {
-            localStorage.setItem(key, this.score.toString());
+        if (loadingScreen && gameContainer) {
+            loadingScreen.style.display = 'none';
+            gameContainer.classList.remove('hidden');
         }
     }
     
-    showGameOverScreen() {
+    showStartScreen() {
+        // Leaving a game for the menu freezes its timer at this point until it is continued
+        this.saveProgress();
+        if (this.engine.status === 'playing') {
+            this.engine.pause();
+        }
+        this.stopReplay();
+        this.closeOnline();
+        this.gameState = 'menu';
         this.hideAllOverlays();
+        this.updateContinueButton();
+        document.getElementById('start-screen')?.classList.remove('hidden');
+    }
+    
+    updateContinueButton() {
+        const button = document.getElementById('continue-game-btn');
+        if (!button) return;
         
-        // Update final stats
-        document.getElementById('final-score-display').textContent = this.score;
-        document.getElementById('final-moves').textContent = this.moves;
-        document.getElementById('final-time').textContent = this.formatTime(this.gameTime);
-        document.getElementById('final-level').textContent = this.level;
+        const snapshot = SaveGame.load();
+        button.classList.toggle('hidden', !snapshot);
         
-        document.getElementById('game-over-screen')?.classList.remove('hidden');
+        if (snapshot) {
+            const { difficulty, moves, time } = snapshot.game;
+            button.textContent = `▶️ Continue game (${difficulty}, ${moves} moves, ${this.formatTime(time)})`;
+        }
     }
     
-    togglePause() {
-        if (this.gameState !== 'playing') return;
+    showDailyScreen() {
+        this.hideAllOverlays();
         
-        this.isPaused = !this.isPaused;
+        const today = new Date();
+        this.calendarMonth = { year: today.getUTCFullYear(), month: today.getUTCMonth() };
         
+        const result = DailyChallenge.getResult();
+        let status = 'One shared board for everyone, every day.';
+        if (result && result.status === 'completed') {
+            status = `Today's score: ${result.score} in ${result.moves} moves. Replays are practice only.`;
+        } else if (result) {
+            status = 'Today\'s scored attempt is used up. Replays are practice only.';
+        }
+        
+        document.getElementById('daily-status').textContent = status;
+        document.getElementById('daily-streak').textContent = DailyChallenge.getStreak();
+        document.getElementById('daily-best-streak').textContent = DailyChallenge.getBestStreak();
+        this.renderDailyCalendar();
+        
+        document.getElementById('daily-screen')?.classList.remove('hidden');
+    }
+    
+    changeCalendarMonth(delta) {
+        const date = new Date(Date.UTC(this.calendarMonth.year, this.calendarMonth.month + delta, 1));
+        this.calendarMonth = { year: date.getUTCFullYear(), month: date.getUTCMonth() };
+        this.renderDailyCalendar();
+    }
+    
+    renderDailyCalendar() {
+        const { year, month } = this.calendarMonth;
+        const label = new Date(Date.UTC(year, month, 1)).toLocaleDateString(undefined, {
+            month: 'long',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+        
+        document.getElementById('daily-month-label').textContent = label;
+        DailyChallenge.renderCalendar(document.getElementById('daily-calendar'), year, month);
+    }
+    
+    startDailyChallenge() {
+        const dateKey = DailyChallenge.getDateKey();
+        const scored = DailyChallenge.startAttempt(dateKey);
+        
+        if (!scored && window.uiManager) {
+            window.uiManager.showToast('Practice round: today\'s challenge has already been attempted.', 'info');
+        }
+        
+        this.startGame({ daily: { dateKey, scored } });
+    }
+    
+    selectDifficulty(level) {
+        this.difficulty = level;
+        document.querySelectorAll('.difficulty-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.level === level);
+        });
+    }
+    
+    selectMode(mode) {
+        this.mode = mode;
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+    }
+    
+    // Boards grow to deal whole sets, so the difficulty buttons show the grid for the chosen size
+    selectGroupSize(groupSize) {
+        this.groupSize = groupSize;
+        document.querySelectorAll('.group-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.group) === groupSize);
+        });
+        
+        document.querySelectorAll('.difficulty-btn').forEach(btn => {
+            const { rows, cols } = LevelCurriculum.getConfig(this.difficulties[btn.dataset.level], 1, groupSize);
+            btn.textContent = btn.textContent.replace(/\(.*\)/, `(${cols}×${rows})`);
+        });
+    }
+    
+    // "3 pairs", "1 triple", ... for the set size being played
+    formatSets(count, groupSize = this.boardEngine.groupSize) {
+        const { unit } = GameEngine.GROUP_SIZES[groupSize];
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+    
+    // A number of hot-seat players, or 'bot' for one player against the computer
+    selectPlayerCount(count) {
+        this.vsBot = count === 'bot';
+        this.playerCount = this.vsBot ? 2 : Number(count);
+        
+        document.querySelectorAll('.players-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.players === String(count));
+        });
+        document.getElementById('bot-setup')?.classList.toggle('hidden', !this.vsBot);
+        this.renderPlayerSetup();
+    }
+    
+    getLineUp() {
+        if (this.vsBot) {
+            const preset = MemoryBot.PRESETS[this.botLevel];
+            return [this.playerSetup[0], { name: preset.name, color: MemoryMatchGame.BOT_COLOR, bot: this.botLevel }];
+        }
+        
+        return this.playerCount > 1 ? this.playerSetup.slice(0, this.playerCount) : [];
+    }
+    
+    renderPlayerSetup() {
+        const container = document.getElementById('player-setup');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        container.classList.toggle('hidden', this.playerCount < 2);
+        if (this.playerCount < 2) return;
+        
+        // Against the computer only the human's name and colour are set here
+        this.playerSetup.slice(0, this.vsBot ? 1 : this.playerCount).forEach((player, i) => {
+            const row = document.createElement('div');
+            row.className = 'player-setup-row';
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = player.color;
+            color.setAttribute('aria-label', `Player ${i + 1} colour`);
+            color.addEventListener('change', () => this.updatePlayerSetup(i, { color: color.value }));
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'text-input';
+            name.maxLength = HighScoreTable.MAX_NAME_LENGTH;
+            name.value = player.name;
+            name.setAttribute('aria-label', `Player ${i + 1} name`);
+            name.addEventListener('change', () => this.updatePlayerSetup(i, { name: name.value.trim() || `Player ${i + 1}` }));
+            
+            row.append(color, name);
+            container.appendChild(row);
+        });
+    }
+    
+    updatePlayerSetup(index, changes) {
+        this.playerSetup[index] = { ...this.playerSetup[index], ...changes };
+        StorageManager.saveGameData('players', this.playerSetup);
+    }
+    
+    startGame(options = {}) {
+        this.daily = options.daily || null;
+        
+        if (!this.daily && this.mode === 'study' && !this.getStudyPack()) {
+            window.uiManager?.showToast('Study mode needs a pack of pairs, such as terms and definitions. Choose one under Settings → Cards.', 'warning');
+            return;
+        }
+        
+        this.initializeGame(options);
+        this.showBoard();
+        this.setupBot();
+        this.setupStudy();
+        
+        // A new game replaces any saved one straight away
+        this.saveProgress();
+    }
+    
+    continueGame() {
+        const snapshot = SaveGame.load();
+        if (!snapshot) {
+            this.updateContinueButton();
+            return;
+        }
+        
+        this.stopReplay();
+        clearTimeout(this.mismatchTimeout);
+        
+        try {
+            this.engine.restore(snapshot.game);
+        } catch (error) {
+            SaveGame.clear();
+            this.updateContinueButton();
+            this.showError(`Could not continue the saved game: ${ValidationUtils.sanitizeString(error.message)}`);
+            return;
+        }
+        
+        this.recorder.resume(snapshot.replay);
+        this.analytics.resume(snapshot.analytics);
+        this.daily = snapshot.daily || null;
+        if (!this.daily) {
+            this.level = this.engine.level;
+        }
+        this.selectDifficulty(this.engine.difficulty);
+        this.selectMode(this.engine.mode);
+        this.selectGroupSize(this.engine.groupSize);
+        const botPlayer = this.engine.players.find(player => player.bot);
+        if (botPlayer) {
+            this.botLevel = botPlayer.bot;
+            this.selectPlayerCount('bot');
+        } else {
+            this.selectPlayerCount(Math.max(1, this.engine.players.length));
+        }
+        this.layoutCards();
+        this.updateUI();
+        this.showBoard();
+        
+        // A mismatch that was still showing gets its usual moment before turning back
+        if (this.engine.hasPendingMismatch()) {
+            this.mismatchTimeout = setTimeout(() => this.engine.concealMismatch(), this.getMismatchDelay());
+        }
+        
+        this.setupBot();
+        this.setupStudy(snapshot.study?.packId);
+    }
+    
+    // Attaches a computer opponent when the line-up has one; it starts with no memories
+    setupBot() {
+        clearTimeout(this.botTimeout);
+        this.bot?.detach();
+        this.bot = null;
+        
+        const botPlayer = this.engine.players.find(player => player.bot);
+        if (!botPlayer) return;
+        
+        this.bot = new MemoryBot(this.engine, { level: botPlayer.bot });
+        this.scheduleBotTurn();
+    }
+    
+    scheduleBotTurn() {
+        clearTimeout(this.botTimeout);
+        
+        const player = this.engine.currentPlayer;
+        if (!this.bot || !player || !player.bot || this.engine.status !== 'playing') return;
+        
+        this.botTimeout = setTimeout(() => this.playBotFlip(), this.bot.getThinkingDelay());
+    }
+    
+    // The bot flips through flipCard like a click would, one card per call
+    playBotFlip() {
+        if (this.gameState !== 'playing') return;
+        
+        // Wait out pauses and a mismatch that is still on show
+        if (this.isPaused || this.engine.hasPendingMismatch()) {
+            this.scheduleBotTurn();
+            return;
+        }
+        
+        const cardId = this.bot.chooseCard();
+        if (cardId === null) return;
+        
+        this.flipCard(this.cards[cardId]);
+        
+        // Keep going until the set is complete or has gone wrong
+        if (this.engine.flippedCards.length > 0 && !this.engine.hasPendingMismatch()) {
+            this.scheduleBotTurn();
+        }
+    }
+    
+    // The selected pack if it can be studied, which takes pairs of different faces
+    getStudyPack() {
+        const pack = PackLibrary.get(this.settings.packId);
+        return pack && pack.pairs.length > 0 ? pack : null;
+    }
+    
+    // Starts grading the board when it is a study board; a continued game keeps the pack it was dealt from
+    setupStudy(packId = this.settings.packId) {
+        this.study?.detach();
+        this.study = null;
+        
+        const pack = PackLibrary.get(packId);
+        if (this.engine.mode !== 'study' || !pack) return;
+        
+        const pairIds = PackFormat.getSymbols(pack).map(entry => GameEngine.getFaces(entry)[0]);
+        this.study = new StudySession(this.engine, pack.id, pairIds);
+    }
+    
+    showBoard() {
+        this.gameState = 'playing';
+        this.hideAllOverlays();
+        
+        // Show canvas and hide grid initially
+        this.canvas.style.display = 'block';
+        document.getElementById('game-grid')?.classList.add('hidden');
+        
+        // The page may have changed size while the board was hidden
+        this.resizeCanvas();
+        this.loop.start();
+    }
+    
+    // Snapshots the game in progress; called after every move and when the page is hidden or closed
+    saveProgress() {
+        if (this.engine.status !== 'playing') return;
+        
+        SaveGame.save({
+            game: this.engine.serialize(),
+            daily: this.daily,
+            study: this.study ? { packId: this.study.packId } : null,
+            analytics: this.analytics.serialize(),
+            replay: this.recorder.getReplay()
+        });
+    }
+    
+    initializeGame(options = {}) {
+        clearTimeout(this.mismatchTimeout);
+        
+        let difficulty = this.difficulty;
+        let mode = this.mode;
+        let groupSize = this.groupSize;
+        let level = this.level;
+        let players = this.getLineUp();
+        let seed = options.seed;
+        
+        // Everyone plays the same daily board, so it is always a classic game of pairs dealt at level 1
+        if (this.daily) {
+            difficulty = DailyChallenge.DIFFICULTY;
+            mode = 'classic';
+            groupSize = 2;
+            level = 1;
+            players = [];
+            seed = DailyChallenge.getSeed(this.daily.dateKey);
+        } else if (seed === undefined || seed === null) {
+            seed = this.urlSeed;
+            this.urlSeed = null;
+        }
+        
+        const symbols = this.getDealSymbols(difficulty, level, groupSize, mode);
+        
+        // Games the online leaderboard can rank are dealt from a seed it issued
+        const rankable = symbols === GameEngine.SYMBOLS && groupSize === 2 && players.length === 0 && mode !== 'study';
+        if ((seed === undefined || seed === null) && rankable && this.leaderboard?.isEnabled) {
+            seed = this.leaderboard.takeSeed();
+        }
+        
+        this.engine.symbols = symbols;
+        this.engine.start({ difficulty, mode, groupSize, level, seed, players });
+        this.layoutCards();
+        this.updateUI();
+    }
+    
+    layoutCards() {
+        const engine = this.boardEngine;
+        const { rows, cols } = engine.config;
+        
+        this.layout = BoardLayout.fit(rows, cols, this.viewWidth, this.viewHeight);
+        this.cardRects = engine.cards.map(card => BoardLayout.getCardRect(this.layout, card));
+    }
+    
+    getCardRect(card) {
+        return this.cardRects[card.id];
+    }
+    
+    handleBoardTap({ x, y }) {
+        if (this.gameState === 'online') {
+            this.handleOnlineClick(x, y);
+            return;
+        }
+        
+        if (this.gameState !== 'playing' || this.isPaused) return;
+        
+        this.handleCardClick(x, y);
+    }
+    
+    // Canvas coordinates of a pointer event in CSS pixels. The canvas border is not part of the
+    // board, and CSS (max-width, max-height) may have shrunk the canvas below the size it was laid out at
+    getViewPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = this.canvas.clientWidth || rect.width;
+        const height = this.canvas.clientHeight || rect.height;
+        
+        return {
+            x: (event.clientX - rect.left - this.canvas.clientLeft) * (this.viewWidth / width),
+            y: (event.clientY - rect.top - this.canvas.clientTop) * (this.viewHeight / height)
+        };
+    }
+    
+    // Undoes the zoom, giving the point on the board the cards are laid out on
+    toBoardPoint(point) {
+        return {
+            x: (point.x - this.zoom.x) / this.zoom.scale,
+            y: (point.y - this.zoom.y) / this.zoom.scale
+        };
+    }
+    
+    // Lights up the face-down card under a pointer that is down; null clears it
+    pressCard(point) {
+        const playable = (this.gameState === 'playing' && !this.isPaused) || this.gameState === 'online';
+        const card = point && playable ? this.getCardAt(point.x, point.y) : null;
+        const id = card ? card.id : null;
+        if (id === this.pressedCardId) return;
+        
+        [this.pressedCardId, id].forEach(cardId => {
+            const pressed = cardId !== null ? this.boardEngine.cards[cardId] : null;
+            if (pressed) {
+                this.invalidateCard(pressed);
+            }
+        });
+        this.pressedCardId = id;
+    }
+    
+    // Pinching only starts once cards are smaller than a comfortable touch target,
+    // but a zoomed board can always be pinched back out
+    zoomBoard(factor, x, y, dx, dy) {
+        const small = Math.min(this.layout.cardWidth, this.layout.cardHeight) < MemoryMatchGame.MIN_TOUCH_TARGET;
+        if (!small && this.zoom.scale === 1) return;
+        
+        // The board point that was under the fingers follows their midpoint
+        const boardX = (x - dx - this.zoom.x) / this.zoom.scale;
+        const boardY = (y - dy - this.zoom.y) / this.zoom.scale;
+        const scale = MathUtils.clamp(this.zoom.scale * factor, 1, MemoryMatchGame.MAX_ZOOM);
+        
+        this.setZoom(scale, x - boardX * scale, y - boardY * scale);
+    }
+    
+    // One finger moves a zoomed board around
+    panBoard(dx, dy) {
+        if (this.zoom.scale === 1) return;
+        
+        this.setZoom(this.zoom.scale, this.zoom.x + dx, this.zoom.y + dy);
+    }
+    
+    // Keeps the zoomed board covering the whole canvas
+    setZoom(scale, x, y) {
+        this.zoom = {
+            scale,
+            x: MathUtils.clamp(x, this.viewWidth * (1 - scale), 0),
+            y: MathUtils.clamp(y, this.viewHeight * (1 - scale), 0)
+        };
+        this.applyViewTransform();
+        this.invalidate();
+    }
+    
+    // Board coordinates to backing-store pixels: the zoom, then the screen's pixel density
+    applyViewTransform() {
+        const ratio = this.pixelRatio;
+        const { scale, x, y } = this.zoom;
+        this.ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+    }
+    
+    // Short buzzes on phones and tablets that have them, unless switched off in settings
+    vibrate(pattern) {
+        if (!this.settings.haptics || !DeviceUtils.isTouchDevice()) return;
+        
+        navigator.vibrate?.(pattern);
+    }
+    
+    handleCardClick(x, y) {
+        if (this.engine.hasPendingMismatch()) return;
+        
+        // No clicking during the computer's turn
+        if (this.engine.currentPlayer?.bot) return;
+        
+        const clickedCard = this.getCardAt(x, y);
+        if (clickedCard) {
+            this.flipCard(clickedCard);
+        }
+    }
+    
+    // Face-down card under a point of the board being drawn
+    getCardAt(x, y) {
+        return this.boardEngine.cards.find(card => {
+            const rect = this.getCardRect(card);
+            return x >= rect.x && x <= rect.x + rect.width &&
+                y >= rect.y && y <= rect.y + rect.height &&
+                !card.isFlipped && !card.isMatched;
+        });
+    }
+    
+    // Online clicks only ask the relay; the card turns over when its state comes back
+    handleOnlineClick(x, y) {
+        const card = this.getCardAt(x, y);
+        if (!card) return;
+        
+        if (!this.versus.isMyTurn) {
+            window.uiManager?.showToast('Wait for your turn', 'info', 1000);
+            return;
+        }
+        
+        this.versus.flip(card.id);
+    }
+    
+    // Cards stay readable for as long as without animations once they have finished turning over
+    getMismatchDelay() {
+        const delay = this.engine.hasMechanic('quickHide') ? 400 : 800;
+        return this.settings.animations ? delay + MemoryMatchGame.FLIP_DURATION : delay;
+    }
+    
+    flipCard(card) {
+        if (this.engine.flip(card.id)) {
+            this.saveProgress();
+        }
+    }
+    
+    createMatchParticles(cards) {
+        // Create visual effects for matched cards
+        if (window.particleSystem) {
+            cards.forEach(card => {
+                const rect = this.getCardRect(card);
+                window.particleSystem.createBurst(rect.x + rect.width/2, rect.y + rect.height/2);
+            });
+        }
+    }
+    
+    // Ends the game either way: a cleared board or a loss such as running out of time
+    gameComplete() {
+        const result = this.engine.getResult();
+        this.gameState = 'completed';
+        
+        // Save best score
+        if (result.won) {
+            this.saveBestScore();
+        }
+        
+        StatsManager.recordGame(result);
+        this.studySummary = this.study ? this.study.finish() : null;
+        
+        this.lastReplay = this.recorder.getReplay();
+        if (this.lastReplay) {
+            ReplayLibrary.save(this.lastReplay);
+        }
+        
+        if (this.daily && this.daily.scored) {
+            DailyChallenge.recordResult(result, this.daily.dateKey);
+        }
+        
+        // Show game over screen
+        this.showGameOverScreen();
+        
+        // Play victory sound
+        if (result.won && window.audioManager) {
+            window.audioManager.playSound('victory');
+        }
+    }
+    
+    saveBestScore() {
+        const key = `bestScore_${this.engine.difficulty}`;
+        // Fall back to the pre-StorageManager key so existing records are kept
+        const currentBest = StorageManager.loadGameData(key, Number(localStorage.getItem(key)) || 0);
+        
+        if (this.score > currentBest) {
+            StorageManager.saveGameData(key, this.score);
+        }
+    }
+    
+    showGameOverScreen() {
+        this.hideAllOverlays();
+        
+        const result = this.engine.getResult();
+        
+        // Update final stats
+        let title = '🎉 Congratulations!';
+        if (!result.won) {
+            title = MemoryMatchGame.LOSS_TITLES[result.lossReason] || '💀 Game Over';
+        } else if (result.players) {
+            const winners = result.players.filter(player => player.rank === 1);
+            title = winners.length > 1
+                ? `🤝 Draw between ${winners.map(player => player.name).join(' and ')}!`
+                : `🏆 ${winners[0].name} wins!`;
+        } else if (this.daily) {
+            title = this.daily.scored
+                ? `📅 Daily Challenge Complete! 🔥 ${DailyChallenge.getStreak(this.daily.dateKey)} day streak`
+                : '📅 Daily Practice Complete!';
+        }
+        document.getElementById('result-title').textContent = title;
+        document.getElementById('final-score-display').textContent = this.score;
+        document.getElementById('final-moves').textContent = this.moves;
+        document.getElementById('final-time').textContent = this.formatTime(this.gameTime);
+        document.getElementById('final-level').textContent = this.engine.level;
+        document.getElementById('final-seed').textContent = this.engine.seed;
+        
+        // A lost game is retried at the same level instead of moving on
+        document.getElementById('game-over-screen')?.classList.toggle('defeat', !result.won);
+        document.getElementById('play-again-btn').textContent = result.won ? 'Play Again' : 'Try Again';
+        
+        const message = document.getElementById('result-message');
+        const lines = result.won ? [] : [`You found ${result.matchedPairs} of ${this.formatSets(result.totalPairs)}.`];
+        if (this.studySummary) {
+            const { reviewed, weak } = this.studySummary;
+            lines.push(`📚 ${reviewed} reviewed, ${weak} to practise again on the next board.`);
+        }
+        message.textContent = lines.join(' ');
+        message.classList.toggle('hidden', lines.length === 0);
+        
+        document.getElementById('final-attempts-stat')?.classList.toggle('hidden', result.attemptsLeft === null);
+        document.getElementById('final-attempts').textContent = result.attemptsLeft;
+        
+        this.renderPlayerRanking(result.players);
+        this.renderMemoryAnalytics();
+        
+        this.showHighScoreResult();
+        
+        document.getElementById('game-over-screen')?.classList.remove('hidden');
+    }
+    
+    renderMemoryAnalytics() {
+        const summary = this.analytics.getSummary();
+        const { rows, cols } = this.layout;
+        
+        document.getElementById('memory-analytics')?.classList.remove('hidden');
+        document.getElementById('final-accuracy').textContent = `${summary.accuracy}%`;
+        document.getElementById('final-memory').textContent = `${summary.perfectMemory}%`;
+        document.getElementById('final-known-misses').textContent = summary.knownMisses;
+        
+        // Cells keep the board's shape as it was shown, turned on a portrait screen
+        const reveals = [];
+        this.engine.cards.forEach(card => {
+            const { row, col } = BoardLayout.getCell(this.layout, card);
+            reveals[row * cols + col] = summary.reveals[card.id];
+        });
+        
+        const heatmap = document.getElementById('memory-heatmap');
+        heatmap.height = Math.round(heatmap.width * rows / cols);
+        MemoryHeatmap.draw(heatmap, reveals, cols);
+    }
+    
+    renderPlayerRanking(players) {
+        const list = document.getElementById('player-ranking');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        list.classList.toggle('hidden', !players);
+        if (!players) return;
+        
+        players.forEach(player => {
+            const item = document.createElement('li');
+            item.style.borderColor = player.color;
+            item.textContent = `#${player.rank} ${player.name}: ${this.formatSets(player.pairs)}, ${player.score} pts`;
+            list.appendChild(item);
+        });
+    }
+    
+    showHighScoreResult() {
+        const result = this.engine.getResult();
+        const board = { difficulty: result.difficulty, mode: result.mode, level: result.level };
+        // Practice runs of an already-played daily board could be farmed, so they never rank
+        // Hot-seat scores are split between players, triples and quads score differently and study boards
+        // are dealt from each player's weak pairs, so they stay off the tables too
+        const eligible = result.won && !result.players && result.groupSize === 2 && result.mode !== 'study' &&
+            !(this.daily && !this.daily.scored);
+        const rank = eligible ? HighScoreTable.getRank(board, result) : -1;
+        // With an online leaderboard every eligible win can be submitted, not just local top-10s, as long as it
+        // was dealt from a seed the server issued; picture decks and symbol packs deal from other symbols
+        // than the server expects, so those only rank locally
+        const online = !!this.leaderboard?.isIssuedSeed(result.seed) && this.engine.symbols === GameEngine.SYMBOLS;
+        const canSubmit = eligible && (rank !== -1 || online);
+        
+        const banner = document.getElementById('highscore-banner');
+        const form = document.getElementById('highscore-entry');
+        
+        this.pendingHighScore = canSubmit ? { board, result, rank, online, replay: this.lastReplay } : null;
+        
+        if (rank === 0) {
+            banner.textContent = '🏆 New record!';
+        } else if (rank > 0) {
+            banner.textContent = `🏅 New high score! Rank #${rank + 1}`;
+        } else {
+            banner.textContent = '';
+        }
+        banner.classList.toggle('hidden', rank === -1);
+        form.classList.toggle('hidden', !canSubmit);
+        
+        if (canSubmit) {
+            const input = document.getElementById('player-name-input');
+            input.value = HighScoreTable.getLastPlayerName();
+        }
+        
+        HighScoreTable.render(document.getElementById('gameover-highscores'), board, -1, ms => this.formatTime(ms));
+    }
+    
+    submitHighScore() {
+        if (!this.pendingHighScore) return;
+        
+        const { board, result, online, replay } = this.pendingHighScore;
+        const name = document.getElementById('player-name-input').value;
+        const rank = this.pendingHighScore.rank !== -1 ? HighScoreTable.addEntry(board, name, result) : -1;
+        this.pendingHighScore = null;
+        
+        // The replay is the move log the server re-plays to verify the score
+        if (online) {
+            this.leaderboard.submit({
+                name: String(name).trim(),
+                difficulty: board.difficulty,
+                mode: board.mode,
+                seed: result.seed,
+                score: result.score,
+                moves: result.moves,
+                time: result.time,
+                replay
+            });
+        }
+        
+        document.getElementById('highscore-entry')?.classList.add('hidden');
+        HighScoreTable.render(document.getElementById('gameover-highscores'), board, rank, ms => this.formatTime(ms));
+    }
+    
+    showHighScoresScreen() {
+        this.hideAllOverlays();
+        
+        // Open on the tables of the board being played; study boards are never ranked
+        document.getElementById('highscores-filter').value = this.difficulty;
+        document.getElementById('highscores-mode').value = this.mode === 'study' ? 'classic' : this.mode;
+        document.getElementById('highscores-level').value = this.level;
+        this.renderHighScores();
+        
+        document.getElementById('highscores-screen')?.classList.remove('hidden');
+    }
+    
+    async renderHighScores() {
+        const level = parseInt(document.getElementById('highscores-level').value, 10);
+        const board = {
+            difficulty: document.getElementById('highscores-filter').value,
+            mode: document.getElementById('highscores-mode').value,
+            level: MathUtils.clamp(level || 1, 1, GameEngine.MAX_LEVEL)
+        };
+        const source = document.getElementById('highscores-source')?.value || 'local';
+        const container = document.getElementById('highscores-list');
+        
+        if (source === 'remote' && this.leaderboard?.isEnabled) {
+            const rankings = await this.leaderboard.fetchRankings(board);
+            if (rankings.source !== 'remote') {
+                window.uiManager?.showToast('Online leaderboard unavailable, showing local scores.', 'warning');
+            }
+            HighScoreTable.renderEntries(container, rankings.entries, -1, ms => this.formatTime(ms));
+            return;
+        }
+        
+        HighScoreTable.render(container, board, -1, ms => this.formatTime(ms));
+    }
+    
+    showStatsScreen() {
+        this.hideAllOverlays();
+        this.renderStats();
+        document.getElementById('stats-screen')?.classList.remove('hidden');
+    }
+    
+    renderStats() {
+        const difficulty = document.getElementById('stats-filter')?.value || null;
+        const summary = StatsManager.getSummary(difficulty);
+        const scoreOf = game => (game ? game.score : '-');
+        
+        if (window.uiManager) {
+            window.uiManager.updateStats({
+                'stats-games': summary.games,
+                'stats-wins': summary.wins,
+                'stats-total-time': this.formatTime(summary.totalTime),
+                'stats-avg-score': summary.averageScore,
+                'stats-avg-moves': summary.averageMoves,
+                'stats-avg-time': this.formatTime(summary.averageTime),
+                'stats-avg-accuracy': `${summary.averageAccuracy}%`,
+                'stats-best-score': scoreOf(summary.best),
+                'stats-worst-score': scoreOf(summary.worst),
+                'stats-current-streak': summary.currentStreak,
+                'stats-best-streak': summary.bestStreak
+            });
+        }
+        
+        StatsChart.draw(document.getElementById('stats-chart'), StatsManager.getGames(difficulty));
+    }
+    
+    async resetStats() {
+        const confirmed = window.uiManager
+            ? await window.uiManager.showModal('<p>Delete every recorded game? This cannot be undone.</p>', {
+                title: 'Reset Statistics',
+                showCancel: true,
+                confirmText: 'Reset'
+            })
+            : true;
+        
+        if (confirmed) {
+            StatsManager.reset();
+            this.renderStats();
+        }
+    }
+    
+    showStudyScreen() {
+        this.hideAllOverlays();
+        
+        const pack = this.getStudyPack();
+        const list = document.getElementById('study-list');
+        list.innerHTML = '';
+        
+        document.getElementById('study-pack-name').textContent = pack
+            ? pack.name
+            : 'Choose a pack of pairs under Settings → Cards to study it.';
+        document.getElementById('study-reset-btn').classList.toggle('hidden', !pack);
+        
+        const weak = pack ? StudyScheduler.getWeak(StudyProgress.load(pack.id)) : [];
+        if (pack && weak.length === 0) {
+            list.innerHTML = '<p class="replays-empty">No weak pairs. Play a study board to find out which ones need work.</p>';
+        }
+        
+        const faces = new Map(PackFormat.getSymbols(pack || { symbols: [], pairs: [] })
+            .map(entry => [GameEngine.getFaces(entry)[0], GameEngine.getFaces(entry)]));
+        weak.forEach(record => {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            
+            const days = Math.ceil((record.due - Date.now()) / StudyScheduler.DAY);
+            const due = days > 0 ? `due in ${days} day${days === 1 ? '' : 's'}` : 'due now';
+            
+            const label = document.createElement('span');
+            label.textContent = `${(faces.get(record.pairId) || [record.pairId]).join(' ↔ ')} · found ${record.found}, ` +
+                `missed ${record.missed}, slow ${record.slow} · ${due}`;
+            
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('study-screen')?.classList.remove('hidden');
+    }
+    
+    async resetStudyProgress() {
+        const pack = this.getStudyPack();
+        if (!pack) return;
+        
+        const confirmed = window.uiManager
+            ? await window.uiManager.showModal(`<p>Forget everything studied in "${ValidationUtils.sanitizeString(pack.name)}"?</p>`, {
+                title: 'Reset Study Progress',
+                showCancel: true,
+                confirmText: 'Reset'
+            })
+            : true;
+        
+        if (confirmed) {
+            StudyProgress.reset(pack.id);
+            this.showStudyScreen();
+        }
+    }
+    
+    showReplaysScreen() {
+        this.hideAllOverlays();
+        
+        const list = document.getElementById('replays-list');
+        list.innerHTML = '';
+        
+        const replays = ReplayLibrary.list();
+        if (replays.length === 0) {
+            list.innerHTML = '<p class="replays-empty">No replays yet. Finish a game to record one.</p>';
+        }
+        
+        replays.forEach(replay => {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            
+            const label = document.createElement('span');
+            const score = replay.result ? `${replay.result.score} pts, ${replay.result.moves} moves` : 'unfinished';
+            label.textContent = `${new Date(replay.recordedAt).toLocaleString()} · ${replay.difficulty} · ${score}`;
+            
+            const watchBtn = document.createElement('button');
+            watchBtn.className = 'primary-btn';
+            watchBtn.textContent = 'Watch';
+            watchBtn.addEventListener('click', () => this.watchReplay(replay));
+            
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'btn-secondary';
+            exportBtn.textContent = 'Export';
+            exportBtn.addEventListener('click', () => ReplayLibrary.download(replay));
+            
+            item.append(label, watchBtn, exportBtn);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('replays-screen')?.classList.remove('hidden');
+    }
+    
+    async importReplay(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        
+        try {
+            this.watchReplay(ReplayFormat.decode(await file.text()));
+        } catch (error) {
+            this.showError(`Could not load replay: ${ValidationUtils.sanitizeString(error.message)}`);
+        } finally {
+            input.value = '';
+        }
+    }
+    
+    watchReplay(replay) {
+        if (!replay) return;
+        
+        this.stopReplay();
+        this.loop.stop();
+        
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.gameState = 'replay';
+        this.hideAllOverlays();
+        this.canvas.style.display = 'block';
+        
+        const seek = document.getElementById('replay-seek');
+        seek.max = this.replayPlayer.duration;
+        document.getElementById('replay-speed').value = '1';
+        document.getElementById('replay-controls')?.classList.remove('hidden');
+        
+        this.replayPlayer.on('update', () => {
+            this.layoutCards();
+            this.render();
+            this.updateUI();
+            this.updateReplayControls();
+        });
+        this.replayPlayer.on('play', () => this.updateReplayControls());
+        this.replayPlayer.on('pause', () => this.updateReplayControls());
+        
+        this.resizeCanvas();
+        this.updateUI();
+        this.replayPlayer.play();
+    }
+    
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        document.getElementById('replay-play-btn').textContent = player.isPlaying ? '⏸️' : '▶️';
+        document.getElementById('replay-seek').value = player.time;
+        document.getElementById('replay-time').textContent =
+            `${this.formatTime(player.time)} / ${this.formatTime(player.duration)}`;
+    }
+    
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.replayPlayer.destroy();
+        this.replayPlayer = null;
+        document.getElementById('replay-controls')?.classList.add('hidden');
+    }
+    
+    closeReplay() {
+        this.showStartScreen();
+    }
+    
+    // ?versus=<url> overrides the relay saved in settings; with neither, a relay on localhost is tried
+    getVersusUrl() {
+        const urlParam = new URLSearchParams(window.location.search).get('versus');
+        return urlParam || this.settings.versusUrl || VersusClient.DEFAULT_URL;
+    }
+    
+    // One client per relay URL; it picks up a session left by a reload of this tab
+    getVersusClient() {
+        const url = this.getVersusUrl();
+        if (this.versus && this.versus.url === url) return this.versus;
+        
+        this.versus?.destroy();
+        this.versus = new VersusClient(url);
+        
+        this.versus.on('connection', (status) => this.onVersusConnection(status));
+        this.versus.on('joined', () => this.updateOnlineScreen());
+        this.versus.on('state', (state, previous) => this.onVersusState(state, previous));
+        // Toasts render markup, so text from the relay is sanitized first
+        this.versus.on('rejected', (reason) => {
+            window.uiManager?.showToast(`Move not accepted: ${ValidationUtils.sanitizeString(reason)}`, 'warning', 2000);
+        });
+        this.versus.on('error', (message) => {
+            this.setOnlineStatus(message);
+            if (this.gameState === 'online') {
+                this.showError(ValidationUtils.sanitizeString(message));
+            }
+        });
+        
+        return this.versus;
+    }
+    
+    showOnlineScreen() {
+        this.hideAllOverlays();
+        this.gameState = 'menu';
+        
+        const nameInput = document.getElementById('online-name');
+        if (nameInput && !nameInput.value) {
+            nameInput.value = this.playerSetup[0].name;
+        }
+        this.getVersusClient();
+        this.setOnlineStatus('One player creates a room, the other joins it with the room code.');
+        this.updateOnlineScreen();
+        
+        document.getElementById('online-screen')?.classList.remove('hidden');
+    }
+    
+    updateOnlineScreen() {
+        const versus = this.versus;
+        const waiting = !!(versus && versus.state && versus.state.status === 'waiting');
+        
+        const code = document.getElementById('online-room-code');
+        code.textContent = waiting ? versus.code : '';
+        code.classList.toggle('hidden', !waiting);
+        if (waiting) {
+            this.setOnlineStatus('Room created. Share this code with your opponent:');
+        }
+        
+        document.getElementById('online-lobby')?.classList.toggle('hidden', waiting);
+        
+        // A session from before a reload can be picked up again
+        const rejoin = document.getElementById('online-rejoin-btn');
+        const canRejoin = !!(versus && versus.session && !versus.state);
+        rejoin.classList.toggle('hidden', !canRejoin);
+        if (canRejoin) {
+            rejoin.textContent = `🔄 Rejoin room ${versus.code}`;
+        }
+    }
+    
+    setOnlineStatus(message) {
+        const status = document.getElementById('online-status');
+        if (status) status.textContent = message;
+    }
+    
+    getOnlineName() {
+        const name = document.getElementById('online-name')?.value.trim();
+        return name || this.playerSetup[0].name;
+    }
+    
+    createOnlineRoom() {
+        this.setOnlineStatus('Creating a room…');
+        this.getVersusClient().createRoom(this.getOnlineName(), this.difficulty, this.groupSize);
+    }
+    
+    joinOnlineRoom(code) {
+        if (!String(code || '').trim()) {
+            this.setOnlineStatus('Enter the room code your opponent shared.');
+            return;
+        }
+        
+        this.setOnlineStatus('Joining…');
+        this.getVersusClient().joinRoom(code, this.getOnlineName());
+    }
+    
+    onVersusConnection(status) {
+        if (this.gameState !== 'online') {
+            if (status === 'connecting') this.setOnlineStatus(`Connecting to ${this.versus.url}…`);
+            return;
+        }
+        
+        if (status === 'reconnecting') {
+            window.uiManager?.showToast('Connection lost, reconnecting…', 'warning', 2000);
+        } else if (status === 'connected') {
+            window.uiManager?.showToast('Reconnected', 'success', 1200);
+        }
+    }
+    
+    // Every state from the relay is complete, so a resync after reconnecting is just another update
+    onVersusState(state, previous) {
+        if (state.status === 'waiting') {
+            if (document.getElementById('online-screen')?.classList.contains('hidden')) {
+                this.showOnlineScreen();
+            }
+            this.updateOnlineScreen();
+            return;
+        }
+        
+        if (this.gameState !== 'online' && state.status === 'playing') {
+            this.showOnlineBoard();
+        }
+        
+        const before = previous && previous.code === state.code ? previous : null;
+        this.announceVersusChanges(state, before);
+        
+        this.layoutCards();
+        this.invalidate();
+        this.updateUI();
+        
+        const finished = state.status === 'completed' || state.status === 'abandoned';
+        if (finished && (!before || before.status !== state.status)) {
+            this.gameState = 'completed';
+            setTimeout(() => this.showOnlineGameOver(state), 500);
+        }
+    }
+    
+    showOnlineBoard() {
+        this.stopReplay();
+        clearTimeout(this.mismatchTimeout);
+        this.gameState = 'online';
+        this.playerPanelsKey = null;
+        this.hideAllOverlays();
+        this.canvas.style.display = 'block';
+        document.getElementById('game-grid')?.classList.add('hidden');
+        this.resizeCanvas();
+        this.loop.start();
+    }
+    
+    // Sounds, particles and toasts come from comparing two states, as the relay only sends snapshots
+    announceVersusChanges(state, previous) {
+        const game = state.game;
+        const before = previous && previous.game;
+        if (!game || !before) return;
+        
+        const seat = this.versus.seat;
+        const opponent = 1 - seat;
+        
+        if (game.matchedPairs > before.matchedPairs) {
+            window.audioManager?.playSound('match');
+            this.vibrate(MemoryMatchGame.HAPTICS.match);
+            
+            const engine = this.versus.engine;
+            const matched = engine.cards.filter((card, i) => card.isMatched && !before.cards[i].isMatched);
+            if (this.settings.visualEffects && matched.length > 0) {
+                this.layoutCards();
+                this.createMatchParticles(matched);
+            }
+        } else if (game.cards.some((card, i) => card.isFlipped && !before.cards[i].isFlipped)) {
+            window.audioManager?.playSound('flip');
+        }
+        
+        if (state.status === 'playing' && game.currentPlayerIndex !== before.currentPlayerIndex) {
+            const message = game.currentPlayerIndex === seat
+                ? 'Your turn'
+                : `${ValidationUtils.sanitizeString(state.seats[opponent].name)}'s turn`;
+            window.uiManager?.showToast(message, 'info', 1200);
+        }
+        
+        const wasConnected = previous.seats[opponent] && previous.seats[opponent].connected;
+        const isConnected = state.seats[opponent] && state.seats[opponent].connected;
+        if (state.status === 'playing' && wasConnected && !isConnected) {
+            window.uiManager?.showToast('Your opponent disconnected. Waiting for them to come back…', 'warning', 4000);
+        } else if (state.status === 'playing' && !wasConnected && isConnected) {
+            window.uiManager?.showToast('Your opponent is back', 'success', 1500);
+        }
+    }
+    
+    showOnlineGameOver(state) {
+        if (!this.versus || this.versus.state !== state) return;
+        
+        this.hideAllOverlays();
+        
+        const engine = this.versus.engine;
+        const result = engine.getResult();
+        const seat = this.versus.seat;
+        const me = engine.players[seat];
+        const opponent = engine.players[1 - seat];
+        
+        // Pairs decide the winner, as in hot-seat games
+        let won = me.pairs > opponent.pairs;
+        let title = won ? '🏆 You win!' : `😞 ${opponent.name} wins`;
+        if (state.status === 'abandoned') {
+            won = state.forfeitedBy !== seat;
+            title = won ? '🏆 Your opponent left - you win!' : '🏳️ You left the game';
+        } else if (me.pairs === opponent.pairs) {
+            title = '🤝 It\'s a draw!';
+        }
+        
+        document.getElementById('result-title').textContent = title;
+        document.getElementById('final-score-display').textContent = me.score;
+        document.getElementById('final-moves').textContent = engine.moves;
+        document.getElementById('final-time').textContent = this.formatTime(engine.getElapsedTime());
+        document.getElementById('final-level').textContent = engine.level;
+        document.getElementById('final-seed').textContent = `Room ${state.code}`;
+        
+        document.getElementById('game-over-screen')?.classList.toggle('defeat', false);
+        document.getElementById('play-again-btn').textContent = 'New Room';
+        document.getElementById('result-message').classList.add('hidden');
+        document.getElementById('final-attempts-stat')?.classList.add('hidden');
+        document.getElementById('memory-analytics')?.classList.add('hidden');
+        this.renderPlayerRanking(result.players);
+        
+        // Online games are not recorded locally, so there is no replay or high score to offer
+        this.pendingHighScore = null;
+        ['highscore-banner', 'highscore-entry', 'watch-replay-btn', 'export-replay-btn'].forEach(id => {
+            document.getElementById(id)?.classList.add('hidden');
+        });
+        document.getElementById('gameover-highscores').innerHTML = '';
+        
+        document.getElementById('game-over-screen')?.classList.remove('hidden');
+        
+        if (won) {
+            window.audioManager?.playSound('victory');
+        }
+    }
+    
+    async leaveOnlineGame() {
+        const confirmed = window.uiManager
+            ? await window.uiManager.showModal('<p>Leave this online game? Your opponent wins.</p>', {
+                title: 'Leave Game',
+                showCancel: true,
+                confirmText: 'Leave'
+            })
+            : true;
+        
+        if (confirmed) {
+            this.showStartScreen();
+        }
+    }
+    
+    // Leaving a running game forfeits it; a finished or waiting room is simply closed
+    closeOnline() {
+        if (!this.versus) return;
+        
+        if (this.versus.state) {
+            this.versus.leave();
+        }
+        this.versus.destroy();
+        this.versus = null;
+        
+        ['watch-replay-btn', 'export-replay-btn'].forEach(id => {
+            document.getElementById(id)?.classList.remove('hidden');
+        });
+    }
+    
+    togglePause() {
+        // The other player's clock cannot be stopped, so pausing an online game offers to leave it
+        if (this.gameState === 'online') {
+            this.leaveOnlineGame();
+            return;
+        }
+        
+        if (this.gameState !== 'playing') return;
+        
+        if (this.engine.isPaused) {
+            this.engine.resume();
+        } else {
+            this.engine.pause();
+        }
+        
+        // A paused board is frozen under the overlay, so it costs nothing until it comes back
         if (this.isPaused) {
+            this.loop.stop();
             document.getElementById('pause-screen')?.classList.remove('hidden');
         } else {
+            this.loop.start();
             document.getElementById('pause-screen')?.classList.add('hidden');
         }
     }
@@ -410,8 +2055,61 @@ class MemoryMatchGame {
     }
     
     playAgain() {
-        this.level++;
-        this.startGame();
+        if (this.versus) {
+            this.closeOnline();
+            this.showOnlineScreen();
+            return;
+        }
+        
+        if (this.engine.status === 'lost') {
+            this.restartGame();
+            return;
+        }
+        
+        // Winning a daily board does not move the campaign on
+        if (this.daily) {
+            this.showDailyScreen();
+            return;
+        }
+        
+        this.level = Math.min(this.level + 1, GameEngine.MAX_LEVEL);
+        this.showLevelUpScreen();
+    }
+    
+    showLevelUpScreen() {
+        this.hideAllOverlays();
+        
+        const level = this.level;
+        const base = this.difficulties[this.difficulty];
+        const config = LevelCurriculum.getConfig(base, level, this.groupSize);
+        const previous = LevelCurriculum.getConfig(base, level - 1, this.groupSize);
+        
+        const details = [`🃏 ${config.cols}×${config.rows} board`, `⏱️ Time bonus up to ${config.timeBonus} per match`];
+        if (config.rows * config.cols > previous.rows * previous.cols) {
+            details[0] += ` (${config.rows * config.cols - previous.rows * previous.cols} more cards)`;
+        }
+        
+        const list = document.getElementById('level-up-details');
+        list.innerHTML = '';
+        details.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        
+        LevelCurriculum.getUnlocked(level).forEach(mechanic => {
+            const item = document.createElement('li');
+            item.className = 'level-up-unlock';
+            item.textContent = `New: ${mechanic.title} - ${mechanic.description}`;
+            list.appendChild(item);
+        });
+        
+        document.getElementById('level-up-title').textContent = `⬆️ Level ${level}`;
+        document.getElementById('level-up-screen')?.classList.remove('hidden');
+        
+        if (window.audioManager) {
+            window.audioManager.playSound('levelUp');
+        }
     }
     
     newGame() {
@@ -420,6 +2118,8 @@ class MemoryMatchGame {
     }
     
     showSettings() {
+        // Vibration is only offered on touch screens
+        document.getElementById('haptics-setting')?.classList.toggle('hidden', !DeviceUtils.isTouchDevice());
         document.getElementById('settings-screen')?.classList.remove('hidden');
     }
     
@@ -434,59 +2134,293 @@ class MemoryMatchGame {
         });
     }
     
-    startTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
+    updateUI() {
+        const engine = this.boardEngine;
+        
+        document.getElementById('score').textContent = engine.score;
+        document.getElementById('moves').textContent = engine.moves;
+        this.updateAttempts(engine.attemptsLeft);
+        this.updatePlayerPanels(engine);
+        this.updateTimer(engine);
+        document.getElementById('level').textContent = engine.level;
+    }
+    
+    // One panel per hot-seat player in place of the single score, rebuilt only when something changed
+    updatePlayerPanels(engine) {
+        const panels = document.getElementById('player-panels');
+        if (!panels) return;
+        
+        const key = JSON.stringify([engine.players, engine.currentPlayerIndex, engine.status]);
+        if (key === this.playerPanelsKey) return;
+        this.playerPanelsKey = key;
+        
+        panels.classList.toggle('hidden', !engine.isMultiplayer);
+        document.getElementById('score-stat')?.classList.toggle('hidden', engine.isMultiplayer);
+        panels.innerHTML = '';
+        
+        engine.players.forEach((player, i) => {
+            const panel = document.createElement('div');
+            panel.className = 'stat player-panel';
+            panel.classList.toggle('active', engine.isMultiplayer && engine.status === 'playing' && i === engine.currentPlayerIndex);
+            panel.style.borderColor = player.color;
+            
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.style.color = player.color;
+            name.textContent = player.name;
+            
+            const score = document.createElement('span');
+            score.className = 'stat-value';
+            score.textContent = `${player.score} (${player.pairs})`;
+            
+            panel.append(name, score);
+            panels.appendChild(panel);
+        });
+    }
+    
+    // Lives-style display of the move budget; hidden in modes without one
+    updateAttempts(attemptsLeft) {
+        const stat = document.getElementById('attempts-stat');
+        stat?.classList.toggle('hidden', attemptsLeft === null);
+        if (attemptsLeft === null) return;
+        
+        const attempts = document.getElementById('attempts');
+        attempts.textContent = attemptsLeft <= MemoryMatchGame.MAX_HEARTS
+            ? '❤️'.repeat(attemptsLeft) || '💔'
+            : `❤️ ×${attemptsLeft}`;
+        attempts.classList.toggle('attempts-low', attemptsLeft <= 2);
+    }
+    
+    updateTimer(engine) {
+        const timer = document.getElementById('timer');
+        const remaining = engine.getRemainingTime();
+        
+        if (remaining === null) {
+            timer.textContent = this.formatTime(engine.getElapsedTime());
+            timer.classList.remove('timer-warning');
+            return;
+        }
+        
+        timer.textContent = this.formatTime(remaining, true);
+        timer.classList.toggle('timer-warning', engine.status === 'playing' && remaining <= MemoryMatchGame.TIME_WARNING);
+    }
+    
+    // Countdowns round up, so the display only reads 00:00 once time has actually run out
+    formatTime(milliseconds, countdown = false) {
+        const seconds = countdown ? Math.ceil(milliseconds / 1000) : Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        
+        return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+    
+    // One fixed step of the game loop: animations, particles and the HUD clock
+    update(step) {
+        this.updateAnimations(this.cardFlips, step);
+        this.updateAnimations(this.cardShakes, step);
+        
+        // Particles are repainted where they were and where they are now
+        const particles = window.particleSystem;
+        if (particles && particles.getParticleCount() > 0) {
+            this.invalidate(particles.getBounds());
+            particles.update();
+            this.invalidate(particles.getBounds());
         }
         
-        this.timerInterval = setInterval(() => {
+        this.hudElapsed += step;
+        if (this.hudElapsed >= MemoryMatchGame.HUD_INTERVAL) {
+            this.hudElapsed = 0;
+            
             if (!this.isPaused && this.gameState === 'playing') {
-                this.gameTime = Date.now() - this.startTime;
+                // Countdown modes end here when the clock runs out
+                this.engine.checkTimeLimit();
+                this.updateUI();
+            } else if (this.gameState === 'online') {
                 this.updateUI();
             }
-        }, 100);
+        }
+        
+        // Off the board the loop only keeps going until the last effect has played out
+        const onBoard = this.gameState === 'playing' || this.gameState === 'online';
+        if (!onBoard && !this.isAnimating()) {
+            this.loop.stop();
+        }
     }
     
-    updateUI() {
-        document.getElementById('score').textContent = this.score;
-        document.getElementById('moves').textContent = this.moves;
-        document.getElementById('timer').textContent = this.formatTime(this.gameTime);
-        document.getElementById('level').textContent = this.level;
+    isAnimating() {
+        return this.cardFlips.size > 0 || this.cardShakes.size > 0 ||
+            (window.particleSystem ? window.particleSystem.getParticleCount() > 0 : false);
     }
     
-    formatTime(milliseconds) {
-        const seconds = Math.floor(milliseconds / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
+    // Moves each of a card animation on by one step; a finished one is dropped after its last frame
+    updateAnimations(animations, step) {
+        animations.forEach((animation, id) => {
+            animation.elapsed += step;
+            if (animation.elapsed - step >= animation.duration) {
+                animations.delete(id);
+            }
+            
+            const card = this.boardEngine.cards[id];
+            if (card) {
+                this.invalidateCard(card);
+            }
+        });
+    }
+    
+    // Marks part of the canvas for repainting, or all of it when no rect is given
+    invalidate(rect) {
+        if (!rect) {
+            this.fullRedraw = true;
+            return;
+        }
         
-        return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+        this.dirtyRegions.push(rect);
+    }
+    
+    invalidateCard(card) {
+        const rect = this.getCardRect(card);
+        if (rect) {
+            this.invalidate(this.getCardBounds(rect));
+        }
+    }
+    
+    // Everything a card can paint: its shadow, how far it shakes sideways and leans while turning
+    getCardBounds(rect) {
+        const padX = rect.width * MemoryMatchGame.SHAKE_DISTANCE + MemoryMatchGame.CARD_SHADOW;
+        const padY = rect.width * MemoryMatchGame.FLIP_SKEW / 2 + MemoryMatchGame.CARD_SHADOW;
+        
+        return {
+            x: rect.x - padX,
+            y: rect.y - padY,
+            width: rect.width + padX * 2,
+            height: rect.height + padY * 2
+        };
+    }
+    
+    // Draws what changed since the last frame; an idle board draws nothing at all
+    renderFrame(alpha) {
+        window.performanceMonitor?.measureFrame();
+        if (!this.ctx) return;
+        
+        if (this.fullRedraw) {
+            this.render(alpha);
+            return;
+        }
+        if (this.dirtyRegions.length === 0) return;
+        
+        // Many small regions cost more to clip than one box around them all
+        let regions = this.dirtyRegions;
+        if (regions.length > MemoryMatchGame.MAX_DIRTY_REGIONS) {
+            regions = [MathUtils.boundingRect(regions)];
+        }
+        this.dirtyRegions = [];
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        regions.forEach(region => this.ctx.rect(region.x, region.y, region.width, region.height));
+        this.ctx.clip();
+        
+        this.drawBackground();
+        this.boardEngine.cards.forEach(card => {
+            const bounds = this.getCardBounds(this.getCardRect(card));
+            const touched = regions.some(region => MathUtils.rectIntersection(
+                region.x, region.y, region.width, region.height,
+                bounds.x, bounds.y, bounds.width, bounds.height
+            ));
+            if (touched) {
+                this.drawCard(card, alpha);
+            }
+        });
+        window.particleSystem?.render(alpha);
+        
+        this.ctx.restore();
     }
     
-    render() {
+    // Repaints the whole board straight away
+    render(alpha = 1) {
         if (!this.ctx) return;
         
+        this.fullRedraw = false;
+        this.dirtyRegions = [];
+        
         // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.viewWidth, this.viewHeight);
         
         // Draw background
         this.drawBackground();
         
         // Draw cards
-        this.cards.forEach(card => this.drawCard(card));
+        this.boardEngine.cards.forEach(card => this.drawCard(card, alpha));
+        window.particleSystem?.render(alpha);
     }
     
     drawBackground() {
-        const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
+        const gradient = this.ctx.createLinearGradient(0, 0, 0, this.viewHeight);
         gradient.addColorStop(0, '#667eea');
         gradient.addColorStop(1, '#764ba2');
         
         this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
+    }
+    
+    animateFlip(cards) {
+        if (!this.settings.animations) return;
+        
+        cards.forEach(card => this.cardFlips.set(card.id, { elapsed: 0, duration: MemoryMatchGame.FLIP_DURATION }));
+    }
+    
+    // Mismatched cards shake once the last one has finished turning over, then flip back on conceal
+    animateShake(cards) {
+        if (!this.settings.animations) return;
+        
+        const elapsed = -MemoryMatchGame.FLIP_DURATION;
+        cards.forEach(card => this.cardShakes.set(card.id, { elapsed, duration: MemoryMatchGame.SHAKE_DURATION }));
     }
     
-    drawCard(card) {
+    // How far along (0-1) a card's animation is at alpha between the last two steps, or null without one
+    getAnimationProgress(animations, card, alpha) {
+        const animation = animations.get(card.id);
+        if (!animation) return null;
+        
+        const time = animation.elapsed - (1 - alpha) * this.loop.step;
+        return Math.min(1, Math.max(0, time / animation.duration));
+    }
+    
+    drawCard(card, alpha = 1) {
+        const rect = this.getCardRect(card);
+        const flip = this.getAnimationProgress(this.cardFlips, card, alpha);
+        const shake = this.getAnimationProgress(this.cardShakes, card, alpha);
+        let faceUp = card.isFlipped || card.isMatched;
         this.ctx.save();
         
+        if (flip !== null || shake !== null) {
+            const centerX = rect.x + rect.width / 2;
+            const centerY = rect.y + rect.height / 2;
+            let scaleX = 1;
+            let skewY = 0;
+            let offsetX = 0;
+            
+            // The card narrows to an edge, swaps sides at the midpoint and widens again,
+            // leaning as it turns so it reads as a rotation rather than a squash
+            if (flip !== null) {
+                const eased = MathUtils.easeInOut(flip);
+                if (eased < 0.5) {
+                    faceUp = !faceUp;
+                }
+                scaleX = Math.abs(Math.cos(eased * Math.PI));
+                skewY = Math.sin(eased * Math.PI) * MemoryMatchGame.FLIP_SKEW * (eased < 0.5 ? 1 : -1);
+            }
+            
+            // Three swings left and right that die down
+            if (shake !== null) {
+                offsetX = Math.sin(shake * Math.PI * 6) * (1 - shake) * rect.width * MemoryMatchGame.SHAKE_DISTANCE;
+            }
+            
+            this.ctx.translate(centerX + offsetX, centerY);
+            this.ctx.transform(scaleX, skewY, 0, 1, 0, 0);
+            this.ctx.translate(-centerX, -centerY);
+        }
+        
         // Card shadow
         this.ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
         this.ctx.shadowBlur = 10;
@@ -494,52 +2428,355 @@ class MemoryMatchGame {
         this.ctx.shadowOffsetY = 2;
         
         // Card background
-        if (card.isMatched) {
-            this.ctx.fillStyle = '#4CAF50';
-        } else if (card.isFlipped) {
+        if (faceUp && card.isMatched) {
+            // In hot-seat games a matched pair takes its finder's colour
+            const owner = card.owner !== null ? this.boardEngine.players[card.owner] : null;
+            this.ctx.fillStyle = owner ? owner.color : '#4CAF50';
+        } else if (faceUp) {
             this.ctx.fillStyle = '#ffffff';
+        } else if (card.id === this.pressedCardId) {
+            this.ctx.fillStyle = '#64B5F6';
         } else {
             this.ctx.fillStyle = '#2196F3';
         }
         
-        this.ctx.fillRect(card.x, card.y, card.width, card.height);
+        this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
         
         // Card border
         this.ctx.strokeStyle = '#1976D2';
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(card.x, card.y, card.width, card.height);
+        this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
         
-        // Draw symbol if flipped or matched
-        if (card.isFlipped || card.isMatched) {
-            this.ctx.font = `${Math.min(card.width, card.height) * 0.6}px Arial`;
+        // Draw the deck's picture if it has one for this symbol, otherwise the emoji
+        const face = this.deck ? this.deck.faces.get(card.symbol) : null;
+        if (faceUp && face && face.width > 0) {
+            // Square faces are fitted to the current card size, so they follow every resize
+            const size = Math.min(rect.width, rect.height) * 0.85;
+            this.ctx.shadowColor = 'transparent';
+            this.ctx.imageSmoothingQuality = 'high';
+            this.ctx.drawImage(
+                face,
+                rect.x + (rect.width - size) / 2,
+                rect.y + (rect.height - size) / 2,
+                size,
+                size
+            );
+        } else if (faceUp) {
+            const { fontSize, lines } = this.layoutCardText(card.symbol, rect.width, rect.height);
+            const lineHeight = fontSize * 1.15;
+            this.ctx.font = `${fontSize}px Arial`;
             this.ctx.fillStyle = '#333';
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
             
-            this.ctx.fillText(
-                card.symbol,
-                card.x + card.width / 2,
-                card.y + card.height / 2
-            );
+            lines.forEach((line, i) => {
+                this.ctx.fillText(
+                    line,
+                    rect.x + rect.width / 2,
+                    rect.y + rect.height / 2 + (i - (lines.length - 1) / 2) * lineHeight
+                );
+            });
+        }
+        
+        // Keyboard cursor, drawn around the card inside the area it is repainted in
+        if (this.focusVisible && card.id === this.focusCardId) {
+            const gap = MemoryMatchGame.FOCUS_GAP;
+            this.ctx.shadowColor = 'transparent';
+            this.ctx.strokeStyle = MemoryMatchGame.FOCUS_COLOR;
+            this.ctx.lineWidth = 4;
+            this.ctx.strokeRect(rect.x - gap, rect.y - gap, rect.width + gap * 2, rect.height + gap * 2);
         }
         
         this.ctx.restore();
     }
     
+    // Largest font at which a face fits inside the card, wrapped at spaces onto as many lines as
+    // it needs; a lone emoji still comes out at 60% of the card
+    layoutCardText(text, width, height) {
+        const maxWidth = width * 0.85;
+        const maxHeight = height * 0.85;
+        const words = String(text).split(/\s+/);
+        const fits = (lines, fontSize) => lines.length * fontSize * 1.15 <= maxHeight &&
+            lines.every(line => this.ctx.measureText(line).width <= maxWidth);
+        
+        let fontSize = Math.min(width, height) * 0.6;
+        let lines = this.wrapCardText(words, fontSize, maxWidth);
+        
+        // Below the smallest readable size the text may spill over rather than vanish
+        while (!fits(lines, fontSize) && fontSize > MemoryMatchGame.MIN_CARD_FONT_SIZE) {
+            fontSize = Math.max(MemoryMatchGame.MIN_CARD_FONT_SIZE, fontSize * 0.9);
+            lines = this.wrapCardText(words, fontSize, maxWidth);
+        }
+        
+        return { fontSize, lines };
+    }
+    
+    // Greedy word wrap at the given font size; a word wider than the card keeps a line to itself
+    wrapCardText(words, fontSize, maxWidth) {
+        this.ctx.font = `${fontSize}px Arial`;
+        
+        const lines = [];
+        words.forEach(word => {
+            const joined = lines.length > 0 ? `${lines[lines.length - 1]} ${word}` : word;
+            if (lines.length > 0 && this.ctx.measureText(joined).width <= maxWidth) {
+                lines[lines.length - 1] = joined;
+            } else {
+                lines.push(word);
+            }
+        });
+        return lines;
+    }
+    
+    get keyBindings() {
+        return KeyBindings.normalize(this.settings.keyBindings);
+    }
+    
     handleKeyPress(event) {
-        switch (event.code) {
-            case 'Space':
+        const helpOpen = document.getElementById('keyboard-screen')?.classList.contains('hidden') === false;
+        
+        // While a binding is being changed the next key is the new one
+        if (this.rebindingAction && helpOpen) {
+            event.preventDefault();
+            this.finishRebind(event.code);
+            return;
+        }
+        this.rebindingAction = null;
+        
+        // Browser shortcuts and typing in a field are left alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest?.('input, textarea, select')) return;
+        
+        const digit = KeyBindings.getDigit(event.code);
+        if (digit !== null) {
+            this.pressDifficultyShortcut(digit);
+            return;
+        }
+        
+        const action = KeyBindings.getAction(this.keyBindings, event.code);
+        if (!action) return;
+        
+        // The help overlay sits on top of everything; its own key or the menu key closes it
+        if (action === 'help' || helpOpen) {
+            if (action === 'help' || action === 'menu') {
                 event.preventDefault();
-                if (this.gameState === 'playing') {
-                    this.togglePause();
-                }
-                break;
-            case 'Escape':
-                if (this.gameState === 'playing') {
-                    this.showStartScreen();
-                }
-                break;
+                this.toggleKeyboardHelp();
+            }
+            return;
+        }
+        
+        if (this.gameState === 'replay') {
+            if (action === 'flip') {
+                event.preventDefault();
+                this.replayPlayer.togglePlay();
+            } else if (action === 'menu') {
+                this.showStartScreen();
+            }
+            return;
+        }
+        
+        if (this.gameState !== 'playing' && this.gameState !== 'online') return;
+        
+        // Arrows and Space would otherwise scroll the page
+        event.preventDefault();
+        
+        // Only the way out works under the pause screen; online, leaving always asks first
+        if (action === 'pause' || (action === 'menu' && this.gameState === 'online')) {
+            this.togglePause();
+            return;
+        }
+        if (action === 'menu') {
+            this.showStartScreen();
+            return;
+        }
+        if (this.isPaused) return;
+        
+        const moves = { up: [-1, 0], down: [1, 0], left: [0, -1], right: [0, 1] };
+        if (moves[action]) {
+            this.moveFocus(...moves[action]);
+        } else if (action === 'flip') {
+            this.flipFocusedCard();
+        }
+    }
+    
+    // 1, 2, 3... press the difficulty buttons of the start screen in order
+    pressDifficultyShortcut(digit) {
+        if (document.getElementById('start-screen')?.classList.contains('hidden')) return;
+        
+        document.querySelectorAll('.difficulty-btn')[digit - 1]?.click();
+    }
+    
+    // Arrow keys walk the grid as it is drawn, so a turned board moves the way it looks.
+    // The first key press only shows where the cursor is
+    moveFocus(dRow, dCol) {
+        const cards = this.boardEngine.cards;
+        const current = cards[this.focusCardId];
+        if (cards.length === 0) return;
+        
+        if (!this.focusVisible || !current) {
+            this.setFocus(current ? current.id : 0);
+            return;
         }
+        
+        const cell = BoardLayout.getCell(this.layout, current);
+        const row = MathUtils.clamp(cell.row + dRow, 0, this.layout.rows - 1);
+        const col = MathUtils.clamp(cell.col + dCol, 0, this.layout.cols - 1);
+        const next = cards.find(card => {
+            const other = BoardLayout.getCell(this.layout, card);
+            return other.row === row && other.col === col;
+        });
+        
+        if (next) {
+            this.setFocus(next.id);
+        }
+    }
+    
+    setFocus(id) {
+        const cards = this.boardEngine.cards;
+        [this.focusCardId, id].forEach(cardId => {
+            if (cards[cardId]) {
+                this.invalidateCard(cards[cardId]);
+            }
+        });
+        
+        this.focusCardId = id;
+        this.focusVisible = true;
+        this.revealCard(cards[id]);
+    }
+    
+    hideFocus() {
+        if (!this.focusVisible) return;
+        
+        this.focusVisible = false;
+        const card = this.boardEngine.cards[this.focusCardId];
+        if (card) {
+            this.invalidateCard(card);
+        }
+    }
+    
+    // Flips the card under the cursor just as a tap on it would
+    flipFocusedCard() {
+        const card = this.boardEngine.cards[this.focusCardId];
+        if (!this.focusVisible || !card) {
+            this.moveFocus(0, 0);
+            return;
+        }
+        
+        const rect = this.getCardRect(card);
+        this.handleBoardTap({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+    }
+    
+    // A zoomed board pans just far enough to show the card
+    revealCard(card) {
+        if (!card || this.zoom.scale === 1) return;
+        
+        const rect = this.getCardRect(card);
+        const { scale } = this.zoom;
+        let { x, y } = this.zoom;
+        
+        x -= Math.min(0, rect.x * scale + x) + Math.max(0, (rect.x + rect.width) * scale + x - this.viewWidth);
+        y -= Math.min(0, rect.y * scale + y) + Math.max(0, (rect.y + rect.height) * scale + y - this.viewHeight);
+        
+        if (x !== this.zoom.x || y !== this.zoom.y) {
+            this.setZoom(scale, x, y);
+        }
+    }
+    
+    // Opening the help during a game pauses it; closing it leaves the pause screen to resume from
+    toggleKeyboardHelp() {
+        const screen = document.getElementById('keyboard-screen');
+        if (!screen) return;
+        
+        this.rebindingAction = null;
+        if (!screen.classList.contains('hidden')) {
+            screen.classList.add('hidden');
+            return;
+        }
+        
+        if (this.gameState === 'playing' && !this.isPaused) {
+            this.togglePause();
+        }
+        this.renderKeyBindings();
+        screen.classList.remove('hidden');
+    }
+    
+    renderKeyBindings() {
+        const list = document.getElementById('keyboard-list');
+        if (!list) return;
+        
+        const bindings = this.keyBindings;
+        list.innerHTML = '';
+        
+        Object.entries(KeyBindings.ACTION_LABELS).forEach(([action, label]) => {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+            
+            const text = document.createElement('span');
+            text.textContent = label;
+            
+            const keys = document.createElement('span');
+            keys.className = 'key-binding';
+            keys.textContent = action === this.rebindingAction
+                ? 'Press a key…'
+                : bindings[action].map(code => KeyBindings.formatKey(code)).join(' / ') || '—';
+            
+            const changeBtn = document.createElement('button');
+            changeBtn.className = 'btn-secondary';
+            changeBtn.textContent = 'Change';
+            changeBtn.addEventListener('click', () => {
+                this.rebindingAction = action;
+                this.renderKeyBindings();
+            });
+            
+            item.append(text, keys, changeBtn);
+            list.appendChild(item);
+        });
+        
+        // Digits are fixed to the difficulty buttons, however many there are
+        const difficulties = document.querySelectorAll('.difficulty-btn').length;
+        const item = document.createElement('div');
+        item.className = 'replay-item';
+        const text = document.createElement('span');
+        text.textContent = 'Choose a difficulty on the start screen';
+        const keys = document.createElement('span');
+        keys.className = 'key-binding';
+        keys.textContent = `1–${difficulties}`;
+        item.append(text, keys);
+        list.appendChild(item);
+    }
+    
+    finishRebind(code) {
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+        
+        // Esc gives up on the change rather than binding Esc
+        if (code !== 'Escape') {
+            try {
+                this.settings.keyBindings = KeyBindings.rebind(this.keyBindings, action, code);
+                this.saveSettings();
+                this.updateBoardLabel();
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'warning');
+            }
+        }
+        this.renderKeyBindings();
+    }
+    
+    resetKeyBindings() {
+        this.rebindingAction = null;
+        this.settings.keyBindings = null;
+        this.saveSettings();
+        this.updateBoardLabel();
+        this.renderKeyBindings();
+    }
+    
+    // Screen readers announce the keys that actually play the board
+    updateBoardLabel() {
+        const bindings = this.keyBindings;
+        const keys = action => bindings[action].map(code => KeyBindings.formatKey(code)).join(' or ') || 'unbound';
+        const moves = ['up', 'down', 'left', 'right'].map(action => keys(action)).join(', ');
+        
+        this.canvas?.setAttribute('aria-label',
+            `Game board. ${moves} move between cards, ${keys('flip')} flips the card, ${keys('help')} lists every key.`);
     }
     
     showError(message) {
@@ -555,16 +2792,76 @@ class MemoryMatchGame {
     }
     
     destroy() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-        }
+        this.loop.stop();
+        clearTimeout(this.mismatchTimeout);
+        this.stopReplay();
+        clearTimeout(this.botTimeout);
+        this.engine.removeAllListeners();
+        this.leaderboard?.destroy();
+        this.versus?.destroy();
         
         // Remove event listeners
-        window.removeEventListener('resize', this.resizeCanvas.bind(this));
+        this.pointer.detach();
+        window.removeEventListener('resize', this.onResize);
+        window.removeEventListener('orientationchange', this.onResize);
+        screen.orientation?.removeEventListener('change', this.onResize);
         document.removeEventListener('keydown', this.handleKeyPress.bind(this));
     }
 }
 
+MemoryMatchGame.TIME_WARNING = 10000;
+MemoryMatchGame.MAX_HEARTS = 5;
+
+MemoryMatchGame.BOT_COLOR = '#9E9E9E';
+
+// Board size limits in CSS pixels, and the room kept free around it
+MemoryMatchGame.MIN_BOARD_SIZE = 240;
+MemoryMatchGame.MAX_BOARD_WIDTH = 900;
+MemoryMatchGame.MAX_BOARD_HEIGHT = 700;
+MemoryMatchGame.BOARD_MARGIN = 40;
+
+// Cards smaller than this (CSS pixels) make a board pinch-zoomable, up to MAX_ZOOM times
+MemoryMatchGame.MIN_TOUCH_TARGET = 44;
+MemoryMatchGame.MAX_ZOOM = 3;
+
+// Keyboard cursor colour and its distance from the card's edge in px
+MemoryMatchGame.FOCUS_COLOR = '#FFD93D';
+MemoryMatchGame.FOCUS_GAP = 5;
+
+// Vibration patterns in ms
+MemoryMatchGame.HAPTICS = {
+    match: 30,
+    mismatch: [40, 60, 40]
+};
+
+// Card flip and mismatch shake lengths in ms, and how far a turning card leans
+MemoryMatchGame.FLIP_DURATION = 300;
+MemoryMatchGame.SHAKE_DURATION = 400;
+MemoryMatchGame.FLIP_SKEW = 0.15;
+
+// Furthest a shaking card moves as a share of its width, and the reach of a card's shadow in px
+MemoryMatchGame.SHAKE_DISTANCE = 0.08;
+MemoryMatchGame.CARD_SHADOW = 12;
+
+// How often the loop refreshes the HUD in ms, and the dirty regions a frame clips to before merging them
+MemoryMatchGame.HUD_INTERVAL = 100;
+MemoryMatchGame.MAX_DIRTY_REGIONS = 8;
+
+// Smallest font card text shrinks to before it is allowed to overflow
+MemoryMatchGame.MIN_CARD_FONT_SIZE = 9;
+
+MemoryMatchGame.DEFAULT_PLAYERS = [
+    { name: 'Player 1', color: '#FF6B6B' },
+    { name: 'Player 2', color: '#4ECDC4' },
+    { name: 'Player 3', color: '#FFD93D' },
+    { name: 'Player 4', color: '#A78BFA' }
+];
+
+MemoryMatchGame.LOSS_TITLES = {
+    timeout: '⏰ Time\'s up!',
+    outOfMoves: '💔 Out of moves!'
+};
+
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.game = new MemoryMatchGame();
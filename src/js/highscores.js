@@ -0,0 +1,110 @@
+/**
+ * Memory Match Pro - High Scores
+ * Local top-10 tables per board (difficulty, mode and level) with player names
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class HighScoreTable {
+    // Modes and levels change what a score is worth, so each combination is ranked on its own;
+    // classic level 1 keeps the plain difficulty key the tables had before modes and levels
+    static getKey({ difficulty, mode = 'classic', level = 1 }) {
+        return mode === 'classic' && level === 1 ? difficulty : `${difficulty}_${mode}_${level}`;
+    }
+
+    static getTable(board) {
+        return StorageManager.loadGameData(`${this.STORAGE_PREFIX}${this.getKey(board)}`, []);
+    }
+
+    static saveTable(board, table) {
+        return StorageManager.saveGameData(`${this.STORAGE_PREFIX}${this.getKey(board)}`, table);
+    }
+
+    // Higher score first, ties broken by fewer moves and then less time
+    static compare(a, b) {
+        return b.score - a.score || a.moves - b.moves || a.time - b.time;
+    }
+
+    // Zero-based position the result would take, or -1 if it does not make the table
+    static getRank(board, result) {
+        const table = this.getTable(board);
+        const rank = table.findIndex(entry => this.compare(result, entry) < 0);
+
+        if (rank !== -1) return rank;
+        return table.length < this.MAX_ENTRIES ? table.length : -1;
+    }
+
+    static qualifies(board, result) {
+        return this.getRank(board, result) !== -1;
+    }
+
+    static sanitizeName(name) {
+        const trimmed = String(name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+        return ValidationUtils.sanitizeString(trimmed) || 'Player';
+    }
+
+    static addEntry(board, name, result) {
+        const entry = {
+            name: this.sanitizeName(name),
+            score: result.score,
+            moves: result.moves,
+            time: result.time,
+            date: Date.now()
+        };
+
+        const table = [...this.getTable(board), entry]
+            .sort((a, b) => this.compare(a, b))
+            .slice(0, this.MAX_ENTRIES);
+
+        this.saveTable(board, table);
+        StorageManager.saveGameData('playerName', String(name || '').trim());
+
+        return table.indexOf(entry);
+    }
+
+    static getLastPlayerName() {
+        return StorageManager.loadGameData('playerName', '');
+    }
+
+    static render(container, board, highlightRank = -1, formatTime) {
+        this.renderEntries(container, this.getTable(board), highlightRank, formatTime);
+    }
+
+    // Names must already be sanitized, so they can go straight into markup
+    static renderEntries(container, entries, highlightRank = -1, formatTime = ms => `${Math.round(ms / 1000)}s`) {
+        if (!container) return;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="highscores-empty">No high scores yet. Be the first!</p>';
+            return;
+        }
+
+        const rows = entries.map((entry, i) => `
+            <tr class="${i === highlightRank ? 'highlight-row' : ''}">
+                <td>${i + 1}</td>
+                <td>${entry.name}</td>
+                <td>${entry.score}</td>
+                <td>${entry.moves}</td>
+                <td>${formatTime(entry.time)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table class="highscores-table">
+                <thead>
+                    <tr><th>#</th><th>Name</th><th>Score</th><th>Moves</th><th>Time</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+HighScoreTable.STORAGE_PREFIX = 'highScores_';
+HighScoreTable.MAX_ENTRIES = 10;
+HighScoreTable.MAX_NAME_LENGTH = 20;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HighScoreTable;
+}
@@ -0,0 +1,153 @@
+/**
+ * Memory Match Pro - Pointer Input
+ * Mouse, pen and touch on the board through Pointer Events: press, tap, drag and pinch
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Events, with points in whatever toPoint maps a pointer event to:
+ *   press (point)                    one pointer went down
+ *   release ()                       the press ended: lifted (just before its tap), dragged or cancelled
+ *   tap (point)                      it came up again without moving more than TAP_SLOP
+ *   drag ({ dx, dy })                it moved further than that and is still down
+ *   pinch ({ scale, x, y, dx, dy })  two pointers moved: the change in their spread, their
+ *                                    midpoint and how far the midpoint moved
+ * A second pointer landing while one is down cancels the press, so two fingers can never
+ * tap two cards at once, and starts a pinch instead.
+ */
+class PointerInput extends EventEmitter {
+    constructor(element, toPoint) {
+        super();
+
+        this.element = element;
+        this.toPoint = toPoint;
+
+        // Pointers currently down by id, at their last point
+        this.pointers = new Map();
+        this.press = null;
+        this.pinch = null;
+
+        this.handlers = {
+            pointerdown: event => this.down(event),
+            pointermove: event => this.move(event),
+            pointerup: event => this.up(event),
+            pointercancel: event => this.cancel(event)
+        };
+
+        Object.entries(this.handlers).forEach(([type, handler]) => element.addEventListener(type, handler));
+    }
+
+    down(event) {
+        // Only the main mouse button plays; touch and pen report button 0 as well
+        if (event.button !== 0) return;
+
+        const point = this.toPoint(event);
+        this.pointers.set(event.pointerId, point);
+
+        // Moves and the lift keep coming here when the finger slides off the canvas
+        this.element.setPointerCapture?.(event.pointerId);
+
+        if (this.pointers.size === 1) {
+            this.press = { id: event.pointerId, start: point, dragging: false };
+            this.emit('press', point);
+            return;
+        }
+
+        this.cancelPress();
+        if (this.pointers.size === 2) {
+            this.pinch = this.measurePinch();
+        }
+    }
+
+    move(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous) return;
+
+        const point = this.toPoint(event);
+        this.pointers.set(event.pointerId, point);
+
+        if (this.pinch && this.pointers.size === 2) {
+            const next = this.measurePinch();
+            this.emit('pinch', {
+                scale: next.distance / this.pinch.distance,
+                x: next.x,
+                y: next.y,
+                dx: next.x - this.pinch.x,
+                dy: next.y - this.pinch.y
+            });
+            this.pinch = next;
+            return;
+        }
+
+        if (!this.press || this.press.id !== event.pointerId) return;
+
+        if (!this.press.dragging) {
+            const { start } = this.press;
+            if (Math.hypot(point.x - start.x, point.y - start.y) <= PointerInput.TAP_SLOP) return;
+
+            this.press.dragging = true;
+            this.emit('release');
+        }
+        this.emit('drag', { dx: point.x - previous.x, dy: point.y - previous.y });
+    }
+
+    up(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+
+        const point = this.toPoint(event);
+        this.pointers.delete(event.pointerId);
+
+        if (this.press && this.press.id === event.pointerId) {
+            const tapped = !this.press.dragging;
+            this.cancelPress();
+            if (tapped) {
+                this.emit('tap', point);
+            }
+        }
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+    }
+
+    cancel(event) {
+        this.pointers.delete(event.pointerId);
+
+        if (this.press && this.press.id === event.pointerId) {
+            this.cancelPress();
+        }
+        if (this.pointers.size < 2) {
+            this.pinch = null;
+        }
+    }
+
+    cancelPress() {
+        if (this.press && !this.press.dragging) {
+            this.emit('release');
+        }
+        this.press = null;
+    }
+
+    // Spread and midpoint of the first two pointers down
+    measurePinch() {
+        const [a, b] = this.pointers.values();
+        return {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    detach() {
+        Object.entries(this.handlers).forEach(([type, handler]) => this.element.removeEventListener(type, handler));
+        this.removeAllListeners();
+    }
+}
+
+// How far in CSS pixels a press may wander and still count as a tap
+PointerInput.TAP_SLOP = 10;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PointerInput;
+}
@@ -0,0 +1,122 @@
+/**
+ * Memory Match Pro - Key Bindings
+ * Which keys play the board, saved in settings so players can change them
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Bindings map an action to the KeyboardEvent.code values that trigger it:
+ *   { up: ['ArrowUp', 'KeyW'], flip: ['Enter', 'Space'], ... }
+ * Codes name physical keys, so WASD stays in the same place on AZERTY and other layouts.
+ * Settings keep the whole map; actions added in later versions come from DEFAULTS.
+ */
+class KeyBindings {
+    // Saved bindings completed with the defaults for any action they lack or left without a key
+    static normalize(saved) {
+        const actions = Object.keys(this.DEFAULTS);
+        const bindings = {};
+        actions.forEach(action => {
+            const keys = saved && saved[action];
+            bindings[action] = Array.isArray(keys) ? keys.filter(code => typeof code === 'string') : [];
+        });
+
+        // Default keys another action has taken stay with it, unless that would leave this one with none
+        actions.filter(action => bindings[action].length === 0).forEach(action => {
+            const free = this.DEFAULTS[action].filter(code => !this.getAction(bindings, code));
+            bindings[action] = free.length > 0 ? free : [...this.DEFAULTS[action]];
+        });
+        return bindings;
+    }
+
+    static getAction(bindings, code) {
+        return Object.keys(bindings).find(action => bindings[action].includes(code)) || null;
+    }
+
+    // Puts the action on that key alone; the key stops doing whatever it did before, and an action
+    // that loses its only key swaps to the keys this action had, so no action is left without one
+    static rebind(bindings, action, code) {
+        if (this.RESERVED.includes(code)) {
+            throw new Error(`${this.formatKey(code)} cannot be rebound`);
+        }
+
+        const next = {};
+        Object.entries(bindings).forEach(([name, keys]) => {
+            if (name === action) {
+                next[name] = [code];
+                return;
+            }
+
+            const kept = keys.filter(key => key !== code);
+            next[name] = kept.length > 0 || keys.length === 0 ? kept : bindings[action].filter(key => key !== code);
+        });
+        return next;
+    }
+
+    // Short label for a key code: KeyW -> W, ArrowUp -> ↑, Digit1 -> 1
+    static formatKey(code) {
+        if (this.KEY_LABELS[code]) return this.KEY_LABELS[code];
+
+        return code.replace(/^(Key|Digit|Numpad)/, '');
+    }
+
+    // Number of a digit key (top row or keypad), or null for anything else
+    static getDigit(code) {
+        const match = /^(?:Digit|Numpad)([0-9])$/.exec(code);
+        return match ? Number(match[1]) : null;
+    }
+}
+
+KeyBindings.DEFAULTS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    flip: ['Enter', 'Space'],
+    pause: ['KeyP'],
+    menu: ['Escape'],
+    help: ['KeyH', 'Slash']
+};
+
+// Shown in the help overlay, in this order
+KeyBindings.ACTION_LABELS = {
+    up: 'Move up',
+    down: 'Move down',
+    left: 'Move left',
+    right: 'Move right',
+    flip: 'Flip card (play or pause a replay)',
+    pause: 'Pause',
+    menu: 'Back to the main menu',
+    help: 'Show this help'
+};
+
+// Tab moves focus between controls and digits choose the difficulty
+KeyBindings.RESERVED = [
+    'Tab',
+    ...Array.from({ length: 10 }, (_, i) => `Digit${i}`),
+    ...Array.from({ length: 10 }, (_, i) => `Numpad${i}`)
+];
+
+KeyBindings.KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Slash: '/',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Backslash: '\\'
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyBindings;
+}
@@ -0,0 +1,72 @@
+/**
+ * Memory Match Pro - Board Layout
+ * Fits the engine's grid to the space the canvas has, turned a quarter when that gives bigger cards
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Layouts are in CSS pixels. Cards keep the row and col the engine dealt them; a turned layout
+ * draws row r, col c at column r, row c, so a portrait phone gets a tall board without the deal,
+ * saves, replays or online games seeing any difference.
+ */
+class BoardLayout {
+    // Best placement of a rows×cols grid in a width×height area
+    static fit(rows, cols, width, height) {
+        const upright = this.measure(rows, cols, width, height, false);
+        if (rows === cols) return upright;
+
+        // Ties keep the engine's orientation
+        const turned = this.measure(cols, rows, width, height, true);
+        return turned.cardWidth * turned.cardHeight > upright.cardWidth * upright.cardHeight ? turned : upright;
+    }
+
+    static measure(rows, cols, width, height, turned) {
+        const cellWidth = (width - this.PADDING * 2 + this.GAP) / cols;
+        const cellHeight = (height - this.PADDING * 2 + this.GAP) / rows;
+
+        // Cards fill their cell, but never get much longer than a playing card in either direction
+        let cardWidth = Math.max(0, cellWidth - this.GAP);
+        let cardHeight = Math.max(0, cellHeight - this.GAP);
+        cardWidth = Math.min(cardWidth, cardHeight * this.MAX_ASPECT);
+        cardHeight = Math.min(cardHeight, cardWidth * this.MAX_ASPECT);
+
+        // Whatever the cards leave over is split evenly around the grid
+        return {
+            rows,
+            cols,
+            turned,
+            cardWidth,
+            cardHeight,
+            x: (width - cols * (cardWidth + this.GAP) + this.GAP) / 2,
+            y: (height - rows * (cardHeight + this.GAP) + this.GAP) / 2
+        };
+    }
+
+    // Row and column a card is drawn at
+    static getCell(layout, card) {
+        return layout.turned ? { row: card.col, col: card.row } : { row: card.row, col: card.col };
+    }
+
+    // Where a card is drawn, from the row and col the engine gave it
+    static getCardRect(layout, card) {
+        const { row, col } = this.getCell(layout, card);
+
+        return {
+            x: layout.x + col * (layout.cardWidth + this.GAP),
+            y: layout.y + row * (layout.cardHeight + this.GAP),
+            width: layout.cardWidth,
+            height: layout.cardHeight
+        };
+    }
+}
+
+// Space around the grid and between cards, and how many times longer than wide (or wide than long) a card may get
+BoardLayout.PADDING = 20;
+BoardLayout.GAP = 10;
+BoardLayout.MAX_ASPECT = 1.5;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardLayout;
+}
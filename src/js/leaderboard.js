@@ -0,0 +1,199 @@
+/**
+ * Memory Match Pro - Leaderboard Client
+ * Submits scores to an optional HTTP leaderboard, queueing them while offline
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class LeaderboardClient extends EventEmitter {
+    constructor(endpoint = null) {
+        super();
+
+        this.endpoint = null;
+        this.retryDelay = LeaderboardClient.MIN_RETRY_DELAY;
+        this.retryTimeout = null;
+        this.isFlushing = false;
+        this.isFetchingSeed = false;
+
+        window.addEventListener('online', () => {
+            this.flush();
+            this.fetchSeed();
+        });
+
+        this.setEndpoint(endpoint);
+    }
+
+    // No endpoint means the game runs purely on local high scores
+    get isEnabled() {
+        return this.endpoint !== null;
+    }
+
+    setEndpoint(endpoint) {
+        const url = String(endpoint || '').trim().replace(/\/+$/, '');
+        this.endpoint = url && ValidationUtils.isUrl(url) ? url : null;
+
+        if (this.isEnabled) {
+            this.flush();
+            this.fetchSeed();
+        }
+    }
+
+    getQueue() {
+        return StorageManager.loadGameData(LeaderboardClient.QUEUE_KEY, []);
+    }
+
+    saveQueue(queue) {
+        StorageManager.saveGameData(LeaderboardClient.QUEUE_KEY, queue);
+    }
+
+    // Seeds this server issued for ranked games: the next one to deal and the ones already dealt,
+    // which stay rankable while their games are saved and continued
+    getSeeds() {
+        const seeds = StorageManager.loadGameData(LeaderboardClient.SEEDS_KEY, null);
+        return seeds && seeds.endpoint === this.endpoint ? seeds : { endpoint: this.endpoint, next: null, dealt: [] };
+    }
+
+    saveSeeds(seeds) {
+        StorageManager.saveGameData(LeaderboardClient.SEEDS_KEY, seeds);
+    }
+
+    // Seed for the next ranked game, or null while none has been fetched; fetches the one after
+    takeSeed() {
+        if (!this.isEnabled) return null;
+
+        const seeds = this.getSeeds();
+        const seed = seeds.next;
+        if (seed !== null) {
+            this.saveSeeds({ ...seeds, next: null, dealt: [...seeds.dealt, seed].slice(-LeaderboardClient.MAX_DEALT_SEEDS) });
+        }
+
+        this.fetchSeed();
+        return seed;
+    }
+
+    // Only games dealt from an issued seed can be ranked by the server
+    isIssuedSeed(seed) {
+        return this.isEnabled && this.getSeeds().dealt.includes(seed);
+    }
+
+    // Keeps a seed in hand so a ranked game never waits for the server to start
+    async fetchSeed() {
+        if (!this.isEnabled || this.isFetchingSeed || this.getSeeds().next !== null) return;
+
+        const endpoint = this.endpoint;
+        this.isFetchingSeed = true;
+
+        try {
+            const response = await fetch(`${endpoint}/seeds`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`Leaderboard server error: ${response.status}`);
+            }
+
+            const { seed } = await response.json();
+            if (Number.isInteger(seed) && endpoint === this.endpoint) {
+                this.saveSeeds({ ...this.getSeeds(), next: seed });
+            }
+        } catch (error) {
+            // Offline: the game deals its own seeds, which rank locally only, until the next try
+            console.warn('Failed to fetch a leaderboard seed:', error);
+        } finally {
+            this.isFetchingSeed = false;
+        }
+    }
+
+    submit(entry) {
+        if (!this.isEnabled) return false;
+
+        this.saveQueue([...this.getQueue(), { ...entry, queuedAt: Date.now() }]);
+        this.flush();
+        return true;
+    }
+
+    async flush() {
+        if (!this.isEnabled || this.isFlushing) return;
+
+        this.isFlushing = true;
+        clearTimeout(this.retryTimeout);
+
+        try {
+            let queue = this.getQueue();
+
+            while (queue.length > 0) {
+                const entry = queue[0];
+                const response = await fetch(`${this.endpoint}/scores`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(entry)
+                });
+
+                if (response.status >= 500) {
+                    throw new Error(`Leaderboard server error: ${response.status}`);
+                }
+
+                // Anything else is final: either accepted or rejected for good
+                const body = await response.json().catch(() => ({}));
+                if (response.ok) {
+                    this.emit('submitted', entry, body);
+                } else {
+                    this.emit('rejected', entry, body.error || `HTTP ${response.status}`);
+                }
+
+                queue = this.getQueue().slice(1);
+                this.saveQueue(queue);
+            }
+
+            this.retryDelay = LeaderboardClient.MIN_RETRY_DELAY;
+        } catch (error) {
+            // Offline or server down: keep the queue and back off
+            console.warn('Leaderboard submission failed, will retry:', error);
+            this.scheduleRetry();
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = setTimeout(() => this.flush(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, LeaderboardClient.MAX_RETRY_DELAY);
+    }
+
+    // Remote rankings when reachable, otherwise the local high-score table
+    async fetchRankings(board, limit = HighScoreTable.MAX_ENTRIES) {
+        if (this.isEnabled) {
+            try {
+                const { difficulty, mode = 'classic', level = 1 } = board;
+                const params = new URLSearchParams({ difficulty, mode, level, limit });
+                const response = await fetch(`${this.endpoint}/scores?${params}`);
+
+                if (response.ok) {
+                    const { entries } = await response.json();
+                    return {
+                        source: 'remote',
+                        entries: entries.map(entry => ({ ...entry, name: HighScoreTable.sanitizeName(entry.name) }))
+                    };
+                }
+            } catch (error) {
+                console.warn('Failed to fetch leaderboard:', error);
+            }
+        }
+
+        return { source: 'local', entries: HighScoreTable.getTable(board) };
+    }
+
+    destroy() {
+        clearTimeout(this.retryTimeout);
+        this.removeAllListeners();
+    }
+}
+
+LeaderboardClient.QUEUE_KEY = 'leaderboardQueue';
+LeaderboardClient.SEEDS_KEY = 'leaderboardSeeds';
+LeaderboardClient.MAX_DEALT_SEEDS = 10;
+LeaderboardClient.MIN_RETRY_DELAY = 15000;
+LeaderboardClient.MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaderboardClient;
+}
@@ -0,0 +1,101 @@
+/**
+ * Memory Match Pro - Level Curriculum
+ * How the board, symbols, scoring and mechanics change as the level goes up
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class LevelCurriculum {
+    // Board for a difficulty at a level: the difficulty's grid at level 1, one row or column more every few levels
+    static getConfig(base, level = 1, groupSize = 2) {
+        const isCount = value => Number.isInteger(value) && value > 0;
+        if (!base || !isCount(base.rows) || !isCount(base.cols)) {
+            throw new Error('Board needs a whole number of rows and columns');
+        }
+        if (!isCount(groupSize)) {
+            throw new Error(`Invalid group size: ${groupSize}`);
+        }
+
+        // Growth stops at MAX_ROWS×MAX_COLS, so levels past that cost no more than the last growing one
+        const room = Math.max(0, this.MAX_ROWS - base.rows) + Math.max(0, this.MAX_COLS - base.cols);
+        const steps = Math.min(room, Math.floor((Math.max(1, level) - 1) / this.LEVELS_PER_GROWTH));
+        let { rows, cols } = base;
+
+        for (let i = 0; i < steps; i++) {
+            // Alternate widening and deepening, widening first so boards stay landscape
+            if ((i % 2 === 0 || rows >= this.MAX_ROWS) && cols < this.MAX_COLS) {
+                cols++;
+            } else if (rows < this.MAX_ROWS) {
+                rows++;
+            }
+        }
+
+        // Every card needs a full set, so widen (then deepen) until the cards divide evenly;
+        // that never takes more than groupSize steps in each direction
+        for (let i = 0; (rows * cols) % groupSize !== 0; i++) {
+            if (i >= groupSize * 2) {
+                throw new Error(`Cannot fit sets of ${groupSize} on a ${cols}×${rows} board`);
+            }
+
+            if (cols < this.MAX_COLS) {
+                cols++;
+            } else {
+                rows++;
+            }
+        }
+
+        const decay = Math.pow(this.TIME_BONUS_DECAY, Math.max(1, level) - 1);
+        const timeBonus = Math.round(base.timeBonus * Math.max(this.MIN_TIME_BONUS_FACTOR, decay));
+
+        return { ...base, rows, cols, timeBonus };
+    }
+
+    // A window into the full symbol list that moves on each level, so every symbol comes round
+    static getSymbolPool(symbols, level = 1, pairsNeeded = 0) {
+        const size = Math.min(symbols.length, Math.max(pairsNeeded, Math.ceil(symbols.length / 2)));
+        const offset = ((Math.max(1, level) - 1) * this.SYMBOL_ROTATION) % symbols.length;
+
+        return Array.from({ length: size }, (_, i) => symbols[(offset + i) % symbols.length]);
+    }
+
+    static getMechanics(level = 1) {
+        return Object.keys(this.MECHANICS).filter(name => this.MECHANICS[name].level <= level);
+    }
+
+    // Mechanics that unlock exactly at this level, for the level-up screen
+    static getUnlocked(level) {
+        return Object.keys(this.MECHANICS)
+            .filter(name => this.MECHANICS[name].level === level)
+            .map(name => ({ name, ...this.MECHANICS[name] }));
+    }
+}
+
+LevelCurriculum.LEVELS_PER_GROWTH = 2;
+LevelCurriculum.MAX_ROWS = 6;
+LevelCurriculum.MAX_COLS = 8;
+LevelCurriculum.TIME_BONUS_DECAY = 0.9;
+LevelCurriculum.MIN_TIME_BONUS_FACTOR = 0.25;
+LevelCurriculum.SYMBOL_ROTATION = 8;
+
+LevelCurriculum.MECHANICS = {
+    quickHide: {
+        level: 3,
+        title: '⚡ Quick Glance',
+        description: 'Mismatched cards turn back twice as fast.'
+    },
+    seenPenalty: {
+        level: 5,
+        title: '🧠 Sharp Memory',
+        description: 'Missing with a card you have already seen costs points.'
+    },
+    swap: {
+        level: 7,
+        title: '🔀 Shifting Board',
+        description: 'Every third miss swaps two face-down cards.'
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LevelCurriculum;
+}
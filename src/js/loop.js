@@ -0,0 +1,77 @@
+/**
+ * Memory Match Pro - Game Loop
+ * Fixed-timestep updates with interpolated rendering on requestAnimationFrame
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Each frame runs update(step) as many times as the elapsed time allows, then render(alpha) once,
+ * where alpha (0-1) is how far the frame lies between the last two updates. Stopping the loop
+ * drops the time it was stopped for, so pausing never replays missed updates on resume.
+ */
+class GameLoop {
+    constructor({ update, render, step = GameLoop.STEP, maxFrameTime = GameLoop.MAX_FRAME_TIME, requestFrame, cancelFrame }) {
+        this.update = update;
+        this.render = render;
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+
+        // Injectable so the loop can be driven by hand under Node
+        this.requestFrame = requestFrame || (callback => requestAnimationFrame(callback));
+        this.cancelFrame = cancelFrame || (id => cancelAnimationFrame(id));
+
+        this.frame = null;
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+
+    get isRunning() {
+        return this.frame !== null;
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.frame = this.requestFrame(time => this.tick(time));
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.cancelFrame(this.frame);
+        this.frame = null;
+    }
+
+    tick(time) {
+        const frame = this.frame;
+
+        // The first frame after start only sets the clock
+        const elapsed = this.lastTime === null ? 0 : Math.min(time - this.lastTime, this.maxFrameTime);
+        this.lastTime = time;
+        this.accumulator += elapsed;
+
+        while (this.accumulator >= this.step && this.frame === frame) {
+            this.update(this.step);
+            this.accumulator -= this.step;
+        }
+
+        // An update may have stopped (or restarted) the loop; the frame is still drawn so it ends on its final state
+        this.render(this.accumulator / this.step);
+
+        if (this.frame === frame) {
+            this.frame = this.requestFrame(next => this.tick(next));
+        }
+    }
+}
+
+// 60 updates a second; a longer frame (a background tab, a breakpoint) is cut to MAX_FRAME_TIME
+GameLoop.STEP = 1000 / 60;
+GameLoop.MAX_FRAME_TIME = 250;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameLoop;
+}
@@ -0,0 +1,224 @@
+/**
+ * Memory Match Pro - Symbol Packs
+ * Named sets of card faces, built in or imported from JSON files players share
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Pack format, version 1:
+ * {
+ *   v: 1,
+ *   name: 'Spanish Animals',
+ *   symbols: ['🐶', '🐱', ...],         // optional, faces shown the same on both cards
+ *   pairs: [['dog', 'perro'], ...]      // optional, two faces that belong together
+ * }
+ * A pack needs at least MIN_ENTRIES symbols and pairs combined; boards larger than the pack
+ * are topped up with the classic emoji.
+ */
+
+// Shared modules are globals in the browser and CommonJS modules under Node
+const packDeps = typeof module !== 'undefined' && module.exports
+    ? { GameEngine: require('./engine.js') }
+    : { GameEngine };
+
+class PackFormat {
+    static encode(pack) {
+        const { name, symbols, pairs } = this.validate(pack);
+        return JSON.stringify({ v: this.VERSION, name, symbols, pairs }, null, 2);
+    }
+
+    static decode(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Pack is not valid JSON');
+        }
+        return this.validate(pack);
+    }
+
+    // Returns a clean copy of the pack, or throws with a message fit to show the player
+    static validate(pack) {
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            throw new Error('Pack must be a JSON object');
+        }
+        if (pack.v !== undefined && pack.v !== this.VERSION) {
+            throw new Error(`Unsupported pack version: ${pack.v}`);
+        }
+
+        const name = typeof pack.name === 'string' ? pack.name.trim() : '';
+        if (!name) {
+            throw new Error('Pack needs a "name"');
+        }
+        if (name.length > this.MAX_NAME_LENGTH) {
+            throw new Error(`Pack name is longer than ${this.MAX_NAME_LENGTH} characters`);
+        }
+
+        const symbols = pack.symbols === undefined ? [] : pack.symbols;
+        const pairs = pack.pairs === undefined ? [] : pack.pairs;
+        if (!Array.isArray(symbols)) {
+            throw new Error('"symbols" must be a list of strings');
+        }
+        if (!Array.isArray(pairs)) {
+            throw new Error('"pairs" must be a list of [first, second] entries');
+        }
+
+        const checkFace = (face, where) => {
+            if (typeof face !== 'string' || !face.trim()) {
+                throw new Error(`${where} must be a non-empty string`);
+            }
+            if (face.trim().length > this.MAX_FACE_LENGTH) {
+                throw new Error(`${where} is longer than ${this.MAX_FACE_LENGTH} characters`);
+            }
+            return face.trim();
+        };
+
+        const cleanSymbols = symbols.map((symbol, i) => checkFace(symbol, `Symbol ${i + 1}`));
+        const cleanPairs = pairs.map((pair, i) => {
+            if (!Array.isArray(pair) || pair.length !== 2) {
+                throw new Error(`Pair ${i + 1} must be a list of exactly two faces`);
+            }
+            return pair.map((face, side) => checkFace(face, `Pair ${i + 1}, face ${side + 1}`));
+        });
+
+        // Every face has to be told apart from every other one on the board
+        const seen = new Set();
+        [...cleanSymbols, ...cleanPairs.flat()].forEach(face => {
+            if (seen.has(face)) {
+                throw new Error(`"${face}" appears more than once`);
+            }
+            seen.add(face);
+        });
+
+        const entries = cleanSymbols.length + cleanPairs.length;
+        if (entries < this.MIN_ENTRIES) {
+            throw new Error(`Pack needs at least ${this.MIN_ENTRIES} symbols or pairs, it has ${entries}`);
+        }
+        if (entries > this.MAX_ENTRIES) {
+            throw new Error(`Pack has ${entries} symbols and pairs, the most allowed is ${this.MAX_ENTRIES}`);
+        }
+
+        return { name, symbols: cleanSymbols, pairs: cleanPairs };
+    }
+
+    // Symbol entries the engine deals from; a pair puts one of its faces on each card
+    static getSymbols(pack) {
+        return [...pack.symbols, ...pack.pairs.map(pair => [...pair])];
+    }
+}
+
+PackFormat.VERSION = 1;
+PackFormat.MIN_ENTRIES = 3;
+PackFormat.MAX_ENTRIES = 64;
+PackFormat.MAX_NAME_LENGTH = 40;
+PackFormat.MAX_FACE_LENGTH = 24;
+
+class PackLibrary {
+    static getCustom() {
+        return StorageManager.loadGameData(this.STORAGE_KEY, []);
+    }
+
+    // Built-in packs first, then imported ones, each with the id settings refer to
+    static list() {
+        const builtIn = Object.entries(this.BUILT_IN).map(([id, pack]) => ({ id, builtIn: true, ...pack }));
+        return [...builtIn, ...this.getCustom().map(pack => ({ ...pack, builtIn: false }))];
+    }
+
+    static get(id) {
+        return this.list().find(pack => pack.id === id) || null;
+    }
+
+    // Importing a pack with the name of an imported one replaces it, so shared packs can be updated
+    static import(text) {
+        const pack = PackFormat.decode(text);
+        const custom = this.getCustom();
+        const existing = custom.find(entry => entry.name === pack.name);
+        const saved = { id: existing ? existing.id : `custom-${Date.now()}`, ...pack };
+
+        StorageManager.saveGameData(this.STORAGE_KEY, [...custom.filter(entry => entry !== existing), saved]);
+        return saved;
+    }
+
+    static remove(id) {
+        StorageManager.saveGameData(this.STORAGE_KEY, this.getCustom().filter(pack => pack.id !== id));
+    }
+
+    static download(pack) {
+        const blob = new Blob([PackFormat.encode(pack)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `memory-match-pack-${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+}
+
+PackLibrary.STORAGE_KEY = 'symbolPacks';
+PackLibrary.DEFAULT_PACK = 'classic';
+
+// Classic is the engine's own list; the others are dealt instead of it when chosen in settings
+PackLibrary.BUILT_IN = {
+    classic: {
+        name: '🎯 Classic',
+        symbols: packDeps.GameEngine.SYMBOLS,
+        pairs: []
+    },
+    animals: {
+        name: '🐾 Animals',
+        symbols: [
+            '🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼',
+            '🐨', '🐯', '🦁', '🐮', '🐷', '🐸', '🐵', '🐔',
+            '🐧', '🐦', '🦆', '🦉', '🐺', '🐴', '🦄', '🐝',
+            '🐢', '🐍', '🐙', '🦀', '🐬', '🐳', '🦒', '🐘'
+        ],
+        pairs: []
+    },
+    food: {
+        name: '🍕 Food',
+        symbols: [
+            '🍎', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🍒',
+            '🍑', '🥝', '🍍', '🥥', '🥑', '🥕', '🌽', '🥦',
+            '🍄', '🥐', '🥨', '🧀', '🍕', '🍔', '🌭', '🌮',
+            '🍣', '🍩', '🍪', '🎂', '🍫', '🍿', '🍦', '🥞'
+        ],
+        pairs: []
+    },
+    flags: {
+        name: '🏳️ Flags',
+        symbols: [
+            '🇺🇸', '🇬🇧', '🇫🇷', '🇩🇪', '🇮🇹', '🇪🇸', '🇵🇹', '🇳🇱',
+            '🇧🇪', '🇨🇭', '🇦🇹', '🇸🇪', '🇳🇴', '🇩🇰', '🇫🇮', '🇵🇱',
+            '🇷🇴', '🇬🇷', '🇹🇷', '🇯🇵', '🇰🇷', '🇨🇳', '🇮🇳', '🇧🇷',
+            '🇦🇷', '🇲🇽', '🇨🇦', '🇦🇺', '🇿🇦', '🇪🇬', '🇳🇬', '🇮🇪'
+        ],
+        pairs: []
+    },
+    mathFacts: {
+        name: '✖️ Times Tables',
+        symbols: [],
+        pairs: [
+            ['2×3', '6'], ['2×4', '8'], ['3×3', '9'], ['2×5', '10'], ['3×4', '12'], ['2×7', '14'],
+            ['3×5', '15'], ['4×4', '16'], ['3×6', '18'], ['4×5', '20'], ['3×7', '21'], ['4×6', '24'],
+            ['5×5', '25'], ['4×7', '28'], ['5×6', '30'], ['4×8', '32'], ['5×7', '35'], ['6×6', '36'],
+            ['5×8', '40'], ['6×7', '42'], ['5×9', '45'], ['6×8', '48'], ['7×7', '49'], ['6×9', '54']
+        ]
+    },
+    vocabulary: {
+        name: '🇪🇸 Spanish Words',
+        symbols: [],
+        pairs: [
+            ['dog', 'perro'], ['cat', 'gato'], ['house', 'casa'], ['water', 'agua'],
+            ['bread', 'pan'], ['book', 'libro'], ['sun', 'sol'], ['moon', 'luna'],
+            ['tree', 'árbol'], ['red', 'rojo'], ['green', 'verde'], ['friend', 'amigo'],
+            ['school', 'escuela'], ['apple', 'manzana'], ['milk', 'leche'], ['car', 'coche'],
+            ['door', 'puerta'], ['window', 'ventana'], ['flower', 'flor'], ['bird', 'pájaro'],
+            ['fish', 'pez'], ['rain', 'lluvia'], ['city', 'ciudad'], ['night', 'noche']
+        ]
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PackFormat, PackLibrary };
+}
@@ -0,0 +1,339 @@
+/**
+ * Memory Match Pro - Replays
+ * Records every flip of a game in a compact, versioned format and plays it back
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+// Shared modules are globals in the browser and CommonJS modules under Node
+const replayDeps = typeof module !== 'undefined' && module.exports
+    ? { GameEngine: require('./engine.js'), EventEmitter: require('./utils.js').EventEmitter }
+    : { GameEngine, EventEmitter };
+
+/*
+ * Replay format, version 1:
+ * {
+ *   v: 1,
+ *   seed, difficulty, level,
+ *   mode,                         // optional, 'classic' when missing
+ *   groupSize,                    // optional, cards per matching set; 2 when missing
+ *   players: [{ name, color, bot }], // optional, line-up in turn order; bot is the AI preset or null
+ *   deal: ['🎯', '🚀', ...],      // card faces in board order
+ *   pairs: [['H₂O', 'Water'], ...], // optional, dealt sets whose cards show different faces
+ *   events: [[dt, cardId], ...],  // dt = ms of game time since the previous event,
+ *                                 // cardId = -1 when a mismatched pair was turned back
+ *   result: { score, moves, time, won },
+ *   recordedAt
+ * }
+ */
+class ReplayFormat {
+    static encode(replay) {
+        return JSON.stringify(this.validate(replay));
+    }
+
+    static decode(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Replay is not valid JSON');
+        }
+        return this.validate(replay);
+    }
+
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (replay.v !== this.VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.v}`);
+        }
+        const { GameEngine } = replayDeps;
+        const hasOwn = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
+
+        // Own keys only, so names like 'constructor' cannot reach the engine as a board
+        if (!hasOwn(GameEngine.DIFFICULTIES, replay.difficulty)) {
+            throw new Error(`Unknown replay difficulty: ${replay.difficulty}`);
+        }
+        if (!Number.isInteger(replay.level) || replay.level < 1 || replay.level > GameEngine.MAX_LEVEL) {
+            throw new Error(`Invalid replay level: ${replay.level}`);
+        }
+        if (replay.mode !== undefined && !hasOwn(GameEngine.MODES, replay.mode)) {
+            throw new Error(`Unknown replay mode: ${replay.mode}`);
+        }
+        if (replay.groupSize !== undefined &&
+            (!Number.isInteger(replay.groupSize) || !hasOwn(GameEngine.GROUP_SIZES, replay.groupSize))) {
+            throw new Error(`Unknown replay group size: ${replay.groupSize}`);
+        }
+        if (replay.players !== undefined &&
+            (!Array.isArray(replay.players) || replay.players.length > GameEngine.MAX_PLAYERS)) {
+            throw new Error('Replay has an invalid player line-up');
+        }
+        if (!Array.isArray(replay.deal) || !Array.isArray(replay.events)) {
+            throw new Error('Replay is missing its deal or events');
+        }
+        if (replay.pairs !== undefined && (!Array.isArray(replay.pairs) ||
+            !replay.pairs.every(faces => Array.isArray(faces) && faces.every(face => typeof face === 'string')))) {
+            throw new Error('Replay has invalid pairs');
+        }
+
+        const cardCount = replay.deal.length;
+        const validEvent = event => Array.isArray(event) && event.length === 2 &&
+            Number.isFinite(event[0]) && event[0] >= 0 &&
+            Number.isInteger(event[1]) && event[1] >= -1 && event[1] < cardCount;
+
+        if (!replay.events.every(validEvent)) {
+            throw new Error('Replay contains an invalid event');
+        }
+
+        return replay;
+    }
+
+    // Absolute game times for each event
+    static toTimeline(replay) {
+        let time = 0;
+        return replay.events.map(([dt, cardId]) => {
+            time += dt;
+            return { time, cardId };
+        });
+    }
+}
+
+ReplayFormat.VERSION = 1;
+ReplayFormat.CONCEAL = -1;
+
+class ReplayRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.replay = null;
+        this.lastEventTime = 0;
+
+        this.handlers = {
+            start: () => this.begin(),
+            flip: card => this.record(card.id, card.flipTime),
+            conceal: () => this.record(ReplayFormat.CONCEAL),
+            complete: result => this.finish(result),
+            lose: result => this.finish(result)
+        };
+
+        Object.entries(this.handlers).forEach(([event, handler]) => engine.on(event, handler));
+    }
+
+    begin() {
+        const engine = this.engine;
+
+        this.lastEventTime = 0;
+        this.replay = {
+            v: ReplayFormat.VERSION,
+            seed: engine.seed,
+            difficulty: engine.difficulty,
+            mode: engine.mode,
+            groupSize: engine.groupSize,
+            level: engine.level,
+            players: engine.players.map(({ name, color, bot }) => ({ name, color, bot })),
+            deal: engine.cards.map(card => card.symbol),
+            pairs: engine.symbols.filter(entry => Array.isArray(entry) && engine.cards.some(card => card.pairId === entry[0])),
+            events: [],
+            result: null,
+            recordedAt: Date.now()
+        };
+    }
+
+    record(cardId, time = this.engine.getElapsedTime()) {
+        if (!this.replay) return;
+
+        this.replay.events.push([time - this.lastEventTime, cardId]);
+        this.lastEventTime = time;
+    }
+
+    // Continues recording a restored game from where its saved replay left off
+    resume(replay) {
+        this.replay = replay || null;
+
+        const timeline = replay ? ReplayFormat.toTimeline(replay) : [];
+        this.lastEventTime = timeline.length > 0 ? timeline[timeline.length - 1].time : 0;
+    }
+
+    finish(result) {
+        if (!this.replay) return;
+
+        this.replay.result = {
+            score: result.score,
+            moves: result.moves,
+            time: result.time,
+            won: result.won
+        };
+    }
+
+    getReplay() {
+        return this.replay;
+    }
+
+    detach() {
+        Object.entries(this.handlers).forEach(([event, handler]) => this.engine.off(event, handler));
+    }
+}
+
+class ReplayPlayer extends replayDeps.EventEmitter {
+    constructor(replay) {
+        super();
+
+        this.replay = ReplayFormat.validate(replay);
+        this.timeline = ReplayFormat.toTimeline(this.replay);
+
+        const lastEvent = this.timeline[this.timeline.length - 1];
+        const resultTime = this.replay.result ? this.replay.result.time : 0;
+        this.duration = Math.max(resultTime, lastEvent ? lastEvent.time : 0);
+
+        this.time = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.frameId = null;
+
+        this.seek(0);
+    }
+
+    // Rebuilds the board from the deal and re-applies every event up to the given time
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.duration));
+        this.clock = 0;
+        this.nextEvent = 0;
+
+        this.engine = new replayDeps.GameEngine({
+            difficulty: this.replay.difficulty,
+            mode: this.replay.mode,
+            groupSize: this.replay.groupSize,
+            level: this.replay.level,
+            symbols: this.replay.pairs,
+            now: () => this.clock
+        });
+        this.engine.start({ seed: this.replay.seed, deal: this.replay.deal, players: this.replay.players });
+
+        this.applyEventsUntil(this.time);
+        this.emit('update', this);
+    }
+
+    applyEventsUntil(time) {
+        while (this.nextEvent < this.timeline.length && this.timeline[this.nextEvent].time <= time) {
+            const event = this.timeline[this.nextEvent];
+            this.clock = event.time;
+
+            if (event.cardId === ReplayFormat.CONCEAL) {
+                this.engine.concealMismatch();
+            } else {
+                this.engine.flip(event.cardId);
+            }
+
+            this.nextEvent++;
+        }
+
+        this.clock = time;
+        this.engine.checkTimeLimit();
+    }
+
+    advance(deltaMs) {
+        this.time = Math.min(this.duration, this.time + deltaMs * this.speed);
+        this.applyEventsUntil(this.time);
+        this.emit('update', this);
+
+        if (this.time >= this.duration) {
+            this.pause();
+            this.emit('end', this);
+        }
+    }
+
+    play() {
+        if (this.isPlaying) return;
+
+        if (this.time >= this.duration) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.emit('play', this);
+
+        if (typeof requestAnimationFrame === 'undefined') return;
+
+        let lastFrame = performance.now();
+        const step = (now) => {
+            if (!this.isPlaying) return;
+
+            this.advance(now - lastFrame);
+            lastFrame = now;
+
+            if (this.isPlaying) {
+                this.frameId = requestAnimationFrame(step);
+            }
+        };
+        this.frameId = requestAnimationFrame(step);
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        if (this.frameId !== null && typeof cancelAnimationFrame !== 'undefined') {
+            cancelAnimationFrame(this.frameId);
+        }
+        this.frameId = null;
+        this.emit('pause', this);
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(ReplayPlayer.MIN_SPEED, Math.min(ReplayPlayer.MAX_SPEED, speed));
+    }
+
+    destroy() {
+        this.pause();
+        this.removeAllListeners();
+    }
+}
+
+ReplayPlayer.MIN_SPEED = 0.5;
+ReplayPlayer.MAX_SPEED = 4;
+
+// Saved replays, most recent first
+class ReplayLibrary {
+    static list() {
+        return StorageManager.loadGameData(this.STORAGE_KEY, []);
+    }
+
+    static save(replay) {
+        const replays = [replay, ...this.list()].slice(0, this.MAX_REPLAYS);
+        return StorageManager.saveGameData(this.STORAGE_KEY, replays);
+    }
+
+    static get(index) {
+        return this.list()[index] || null;
+    }
+
+    static download(replay) {
+        const blob = new Blob([ReplayFormat.encode(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `memory-match-replay-${replay.difficulty}-${replay.seed}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+}
+
+ReplayLibrary.STORAGE_KEY = 'replays';
+ReplayLibrary.MAX_REPLAYS = 10;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ReplayFormat,
+        ReplayRecorder,
+        ReplayPlayer,
+        ReplayLibrary
+    };
+}
@@ -0,0 +1,80 @@
+/**
+ * Memory Match Pro - Save Game
+ * Versioned snapshot of the game in progress so it survives closing the tab
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Save format, version 1:
+ * {
+ *   v: 1,
+ *   savedAt,
+ *   game: { ... },     // GameEngine#serialize()
+ *   daily: null,       // or { dateKey, scored } for a daily challenge attempt
+ *   study: null,       // optional, or { packId } for a study board
+ *   analytics: { ... }, // optional, MemoryAnalytics#serialize() so its tallies carry on
+ *   replay: { ... }    // the replay recorded so far, so recording carries on
+ * }
+ */
+class SaveGame {
+    static save(data) {
+        return StorageManager.saveGameData(this.STORAGE_KEY, {
+            v: this.VERSION,
+            savedAt: Date.now(),
+            ...data
+        });
+    }
+
+    // The migrated snapshot, or null when there is none or it cannot be read
+    static load() {
+        const snapshot = StorageManager.loadGameData(this.STORAGE_KEY, null);
+        if (!snapshot) return null;
+
+        try {
+            return this.migrate(snapshot);
+        } catch (error) {
+            console.warn('Discarding unreadable saved game:', error);
+            this.clear();
+            return null;
+        }
+    }
+
+    static migrate(snapshot) {
+        let migrated = snapshot;
+
+        while (migrated.v < this.VERSION) {
+            const migration = this.MIGRATIONS[migrated.v];
+            if (!migration) {
+                throw new Error(`No migration from save version ${migrated.v}`);
+            }
+            migrated = migration(migrated);
+        }
+
+        if (migrated.v !== this.VERSION || !migrated.game) {
+            throw new Error(`Unsupported save version: ${migrated.v}`);
+        }
+
+        return migrated;
+    }
+
+    static exists() {
+        return this.load() !== null;
+    }
+
+    static clear() {
+        return StorageManager.removeGameData(this.STORAGE_KEY);
+    }
+}
+
+SaveGame.STORAGE_KEY = 'savedGame';
+SaveGame.VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from, each returning the next version, e.g.
+// 1: snapshot => ({ ...snapshot, v: 2, game: { ...snapshot.game, lives: null } })
+SaveGame.MIGRATIONS = {};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveGame;
+}
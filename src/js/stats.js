@@ -0,0 +1,157 @@
+/**
+ * Memory Match Pro - Statistics
+ * Persistent per-game history with summaries and a canvas history chart
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+class StatsManager {
+    static getGames(difficulty = null) {
+        const games = StorageManager.loadGameData(this.STORAGE_KEY, []);
+        return difficulty ? games.filter(game => game.difficulty === difficulty) : games;
+    }
+
+    static recordGame(result) {
+        const games = this.getGames();
+
+        games.push({
+            difficulty: result.difficulty,
+            score: result.score,
+            moves: result.moves,
+            time: result.time,
+            accuracy: this.calculateAccuracy(result),
+            won: result.won,
+            date: Date.now()
+        });
+
+        // Keep storage bounded; summaries only need recent history
+        return StorageManager.saveGameData(this.STORAGE_KEY, games.slice(-this.MAX_GAMES));
+    }
+
+    // Share of attempts that found a pair
+    static calculateAccuracy(result) {
+        if (!result.moves) return 0;
+        return Math.round((result.matchedPairs / result.moves) * 100);
+    }
+
+    static getSummary(difficulty = null) {
+        const games = this.getGames(difficulty);
+        const wins = games.filter(game => game.won);
+
+        const summary = {
+            games: games.length,
+            wins: wins.length,
+            totalTime: 0,
+            totalMoves: 0,
+            averageScore: 0,
+            averageMoves: 0,
+            averageTime: 0,
+            averageAccuracy: 0,
+            best: null,
+            worst: null,
+            currentStreak: 0,
+            bestStreak: 0
+        };
+
+        if (games.length === 0) return summary;
+
+        const sum = key => games.reduce((total, game) => total + game[key], 0);
+        summary.totalTime = sum('time');
+        summary.totalMoves = sum('moves');
+        summary.averageScore = Math.round(sum('score') / games.length);
+        summary.averageMoves = Math.round(summary.totalMoves / games.length);
+        summary.averageTime = Math.round(summary.totalTime / games.length);
+        summary.averageAccuracy = Math.round(sum('accuracy') / games.length);
+
+        // Best and worst by score; ties go to fewer moves
+        const ranked = [...games].sort((a, b) => b.score - a.score || a.moves - b.moves);
+        summary.best = ranked[0];
+        summary.worst = ranked[ranked.length - 1];
+
+        games.forEach(game => {
+            summary.currentStreak = game.won ? summary.currentStreak + 1 : 0;
+            summary.bestStreak = Math.max(summary.bestStreak, summary.currentStreak);
+        });
+
+        return summary;
+    }
+
+    static reset() {
+        return StorageManager.removeGameData(this.STORAGE_KEY);
+    }
+}
+
+StatsManager.STORAGE_KEY = 'stats';
+StatsManager.MAX_GAMES = 500;
+
+// Score history line chart drawn on a plain 2D canvas
+class StatsChart {
+    static draw(canvas, games, options = {}) {
+        const ctx = canvas && canvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = canvas;
+        const padding = 30;
+        const recent = games.slice(-(options.maxPoints || 30));
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Axes
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding / 2);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding / 2, height - padding);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        if (recent.length === 0) {
+            ctx.fillText('No games played yet', width / 2, height / 2);
+            return;
+        }
+
+        const maxScore = Math.max(...recent.map(game => game.score), 1);
+        const stepX = recent.length > 1 ? (width - padding * 1.5) / (recent.length - 1) : 0;
+        const toPoint = (game, i) => ({
+            x: padding + i * stepX,
+            y: height - padding - (game.score / maxScore) * (height - padding * 1.5)
+        });
+
+        ctx.textAlign = 'right';
+        ctx.fillText(maxScore, padding - 4, padding / 2);
+        ctx.fillText('0', padding - 4, height - padding);
+
+        // Score line
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        recent.forEach((game, i) => {
+            const { x, y } = toPoint(game, i);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Points: green for wins, red for losses
+        recent.forEach((game, i) => {
+            const { x, y } = toPoint(game, i);
+            ctx.fillStyle = game.won ? '#4CAF50' : '#F44336';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatsManager, StatsChart };
+}
@@ -0,0 +1,197 @@
+/**
+ * Memory Match Pro - Study Mode
+ * Spaced repetition for symbol packs: grades each pair after a board and deals the due ones again
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+/*
+ * Progress record per pair, kept per pack under "studyProgress" as { [packId]: { [pairId]: record } }:
+ * {
+ *   found, missed, slow,       // boards where it was found, misses of an already seen card, slow recalls
+ *   grades: [5, 3, ...],       // last HISTORY_LENGTH SM-2 grades, oldest first
+ *   repetitions,               // successful reviews in a row
+ *   interval,                  // days until the next review
+ *   easiness,                  // SM-2 easiness factor, never below MIN_EASINESS
+ *   due, lastReview            // timestamps in ms
+ * }
+ */
+class StudyScheduler {
+    static createRecord() {
+        return {
+            found: 0,
+            missed: 0,
+            slow: 0,
+            grades: [],
+            repetitions: 0,
+            interval: 0,
+            easiness: this.DEFAULT_EASINESS,
+            due: 0,
+            lastReview: null
+        };
+    }
+
+    // SM-2 grade from 0 to 5 for one pair on one board: a quick find without forgetting scores 5,
+    // each miss of a card already seen costs 2, a slow recall 1, and a pair never found fails
+    static getQuality({ found, missed, slow }) {
+        if (!found) return 1;
+
+        return Math.max(0, 5 - 2 * Math.min(missed, 2) - (slow ? 1 : 0));
+    }
+
+    // Applies one review to a copy of the record, as in SuperMemo 2
+    static review(record, outcome, now = Date.now()) {
+        const quality = this.getQuality(outcome);
+        const next = { ...record, grades: [...record.grades, quality].slice(-this.HISTORY_LENGTH) };
+
+        next.found += outcome.found ? 1 : 0;
+        next.missed += outcome.missed;
+        next.slow += outcome.slow ? 1 : 0;
+
+        if (quality >= this.PASSING_GRADE) {
+            if (next.repetitions === 0) {
+                next.interval = 1;
+            } else if (next.repetitions === 1) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.easiness);
+            }
+            next.repetitions++;
+        } else {
+            // A failed pair starts over and comes back on the next board
+            next.repetitions = 0;
+            next.interval = 0;
+        }
+
+        next.easiness = Math.max(
+            this.MIN_EASINESS,
+            next.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+        );
+        next.due = now + next.interval * this.DAY;
+        next.lastReview = now;
+
+        return next;
+    }
+
+    // Entries for the next board: overdue pairs first, then ones never studied, then the soonest due
+    static select(entries, records, count, now = Date.now()) {
+        const pairIdOf = entry => (Array.isArray(entry) ? entry[0] : entry);
+        const byDue = (a, b) => records[pairIdOf(a)].due - records[pairIdOf(b)].due;
+
+        const studied = entries.filter(entry => records[pairIdOf(entry)]);
+        const due = studied.filter(entry => records[pairIdOf(entry)].due <= now).sort(byDue);
+        const fresh = entries.filter(entry => !records[pairIdOf(entry)]);
+        const later = studied.filter(entry => records[pairIdOf(entry)].due > now).sort(byDue);
+
+        return [...due, ...fresh, ...later].slice(0, count);
+    }
+
+    // Pairs worth another look, hardest first: low easiness, then most misses
+    static getWeak(records) {
+        return Object.entries(records)
+            .filter(([, record]) => record.easiness < this.DEFAULT_EASINESS || record.missed > 0)
+            .sort(([, a], [, b]) => a.easiness - b.easiness || b.missed - a.missed)
+            .map(([pairId, record]) => ({ pairId, ...record }));
+    }
+}
+
+StudyScheduler.DAY = 24 * 60 * 60 * 1000;
+StudyScheduler.DEFAULT_EASINESS = 2.5;
+StudyScheduler.MIN_EASINESS = 1.3;
+StudyScheduler.PASSING_GRADE = 3;
+StudyScheduler.HISTORY_LENGTH = 10;
+
+class StudyProgress {
+    static load(packId) {
+        return StorageManager.loadGameData(this.STORAGE_KEY, {})[packId] || {};
+    }
+
+    // Grades a finished board's outcomes ({ pairId: { found, missed, slow } }) into the pack's records
+    static record(packId, outcomes, now = Date.now()) {
+        const all = StorageManager.loadGameData(this.STORAGE_KEY, {});
+        const records = { ...(all[packId] || {}) };
+
+        Object.entries(outcomes).forEach(([pairId, outcome]) => {
+            records[pairId] = StudyScheduler.review(records[pairId] || StudyScheduler.createRecord(), outcome, now);
+        });
+
+        StorageManager.saveGameData(this.STORAGE_KEY, { ...all, [packId]: records });
+        return records;
+    }
+
+    static reset(packId) {
+        const all = StorageManager.loadGameData(this.STORAGE_KEY, {});
+        delete all[packId];
+        StorageManager.saveGameData(this.STORAGE_KEY, all);
+    }
+}
+
+StudyProgress.STORAGE_KEY = 'studyProgress';
+
+// Watches one board of study mode and works out how each of the pack's pairs went
+class StudySession {
+    constructor(engine, packId, pairIds) {
+        this.engine = engine;
+        this.packId = packId;
+        this.pairIds = new Set(pairIds);
+        this.outcomes = {};
+
+        this.handlers = {
+            flip: card => this.track(card),
+            match: cards => this.found(cards),
+            mismatch: cards => this.missed(cards)
+        };
+
+        Object.entries(this.handlers).forEach(([event, handler]) => engine.on(event, handler));
+    }
+
+    // Only pairs that were turned over get graded; filler emoji are not part of the pack
+    track(card) {
+        if (!this.pairIds.has(card.pairId) || this.outcomes[card.pairId]) return;
+
+        this.outcomes[card.pairId] = { found: false, missed: 0, slow: false };
+    }
+
+    // Recall time is how long the set took from its first card to its last
+    found(cards) {
+        const outcome = this.outcomes[cards[0].pairId];
+        if (!outcome) return;
+
+        outcome.found = true;
+        outcome.slow = cards[cards.length - 1].flipTime - cards[0].flipTime > StudySession.SLOW_RECALL;
+    }
+
+    // A card that had been seen before and still went wrong was known but forgotten
+    missed(cards) {
+        cards.forEach(card => {
+            const outcome = this.outcomes[card.pairId];
+            if (outcome && card.timesSeen > 1) {
+                outcome.missed++;
+            }
+        });
+    }
+
+    // Saves the grades once the board is over and returns how it went
+    finish() {
+        const records = StudyProgress.record(this.packId, this.outcomes);
+        const pairIds = Object.keys(this.outcomes);
+
+        this.outcomes = {};
+        return {
+            reviewed: pairIds.length,
+            weak: pairIds.filter(pairId => records[pairId].repetitions === 0).length
+        };
+    }
+
+    detach() {
+        Object.entries(this.handlers).forEach(([event, handler]) => this.engine.off(event, handler));
+    }
+}
+
+// Matching a set more slowly than this counts as a slow recall
+StudySession.SLOW_RECALL = 5000;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyScheduler, StudyProgress, StudySession };
+}
@@ -46,6 +46,7 @@ class UIManager {
         // Toggle switches
         this.setupToggleSwitch('effects-toggle', 'visualEffects');
         this.setupToggleSwitch('animations-toggle', 'animations');
+        this.setupToggleSwitch('haptics-toggle', 'haptics');
         
         // Theme selector
         const themeSelector = document.getElementById('theme-selector');
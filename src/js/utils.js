@@ -14,13 +14,18 @@ class PerformanceMonitor {
         this.frameHistory = [];
         this.maxHistorySize = 60;
         
+        this.lastFrameTime = this.lastTime;
+        
         this.memoryUsage = 0;
         this.isMonitoring = false;
     }
     
+    // Frames are counted by the game loop calling measureFrame, so the FPS is the game's own
     startMonitoring() {
         this.isMonitoring = true;
-        this.measureFrame();
+        this.frameCount = 0;
+        this.lastTime = performance.now();
+        this.lastFrameTime = this.lastTime;
     }
     
     stopMonitoring() {
@@ -31,8 +36,15 @@ class PerformanceMonitor {
         if (!this.isMonitoring) return;
         
         const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
         
+        // The loop stops on an idle board; the gap starts a new sample rather than counting as a slow second
+        if (currentTime - this.lastFrameTime > 1000) {
+            this.frameCount = 0;
+            this.lastTime = currentTime;
+        }
+        this.lastFrameTime = currentTime;
+        
+        const deltaTime = currentTime - this.lastTime;
         this.frameCount++;
         
         if (deltaTime >= 1000) {
@@ -50,12 +62,11 @@ class PerformanceMonitor {
             if (window.uiManager) {
                 window.uiManager.updateDebugPanel({
                     'fps-counter': this.fps,
+                    'particle-count': window.particleSystem ? window.particleSystem.getParticleCount() : 0,
                     'memory-usage': this.getMemoryUsage() + 'MB'
                 });
             }
         }
-        
-        requestAnimationFrame(() => this.measureFrame());
     }
     
     getMemoryUsage() {
@@ -87,6 +98,8 @@ class ParticleSystem {
         const particle = {
             x: x,
             y: y,
+            prevX: x,
+            prevY: y,
             vx: (Math.random() - 0.5) * (options.velocityRange || 4),
             vy: (Math.random() - 0.5) * (options.velocityRange || 4),
             life: 1.0,
@@ -130,8 +143,11 @@ class ParticleSystem {
         }
     }
     
+    // One fixed step of the game loop; the previous position is kept for interpolated drawing
     update() {
         this.particles = this.particles.filter(particle => {
+            particle.prevX = particle.x;
+            particle.prevY = particle.y;
             particle.x += particle.vx;
             particle.y += particle.vy;
             particle.life -= particle.decay;
@@ -147,10 +163,13 @@ class ParticleSystem {
         });
     }
     
-    render() {
+    // alpha (0-1) places each particle between its last two updates
+    render(alpha = 1) {
         if (!this.ctx) return;
         
         this.particles.forEach(particle => {
+            const x = particle.prevX + (particle.x - particle.prevX) * alpha;
+            const y = particle.prevY + (particle.y - particle.prevY) * alpha;
             this.ctx.save();
             
             this.ctx.globalAlpha = particle.life;
@@ -158,10 +177,10 @@ class ParticleSystem {
             if (particle.type === 'circle') {
                 this.ctx.fillStyle = particle.color;
                 this.ctx.beginPath();
-                this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+                this.ctx.arc(x, y, particle.size, 0, Math.PI * 2);
                 this.ctx.fill();
             } else if (particle.type === 'star') {
-                this.drawStar(particle.x, particle.y, particle.size, particle.color);
+                this.drawStar(x, y, particle.size, particle.color);
             }
             
             this.ctx.restore();
@@ -205,6 +224,26 @@ class ParticleSystem {
         return colors[Math.floor(Math.random() * colors.length)];
     }
     
+    // Area the particles cover at both of their last two positions, or null when there are none
+    getBounds() {
+        if (this.particles.length === 0) return null;
+        
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        
+        this.particles.forEach(particle => {
+            left = Math.min(left, particle.x - particle.size, particle.prevX - particle.size);
+            top = Math.min(top, particle.y - particle.size, particle.prevY - particle.size);
+            right = Math.max(right, particle.x + particle.size, particle.prevX + particle.size);
+            bottom = Math.max(bottom, particle.y + particle.size, particle.prevY + particle.size);
+        });
+        
+        // A pixel of slack for antialiased edges
+        return { x: left - 1, y: top - 1, width: right - left + 2, height: bottom - top + 2 };
+    }
+    
     clear() {
         this.particles = [];
     }
@@ -293,12 +332,12 @@ class MathUtils {
         return Math.atan2(y2 - y1, x2 - x1);
     }
     
-    static randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+    static randomFloat(min, max, random = Math.random) {
+        return random() * (max - min) + min;
     }
     
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, random = Math.random) {
+        return Math.floor(random() * (max - min + 1)) + min;
     }
     
     static easeInOut(t) {
@@ -324,6 +363,74 @@ class MathUtils {
     static rectIntersection(r1x, r1y, r1w, r1h, r2x, r2y, r2w, r2h) {
         return !(r2x > r1x + r1w || r2x + r2w < r1x || r2y > r1y + r1h || r2y + r2h < r1y);
     }
+    
+    // Smallest { x, y, width, height } holding every one of the rects
+    static boundingRect(rects) {
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        const right = Math.max(...rects.map(rect => rect.x + rect.width));
+        const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+        
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+}
+
+// Seedable PRNG (mulberry32) so deals can be replayed and shared
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        
+        // Bound so it can be passed wherever Math.random is expected
+        this.next = this.next.bind(this);
+    }
+    
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    // Numeric seeds are used as-is, any other string is hashed (FNV-1a)
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+        
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    nextInt(min, max) {
+        return MathUtils.randomInt(min, max, this.next);
+    }
+    
+    nextFloat(min, max) {
+        return MathUtils.randomFloat(min, max, this.next);
+    }
+    
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(0, i);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
 }
 
 // Color utilities
@@ -609,89 +716,91 @@ class FunctionUtils {
     }
 }
 
-// Initialize utilities
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize performance monitor
-    window.performanceMonitor = new PerformanceMonitor();
-    
-    // Initialize particle system when canvas is available
-    const canvas = document.getElementById('gameCanvas');
-    if (canvas) {
-        window.particleSystem = new ParticleSystem(canvas);
-    }
-    
-    // Add CSS for utility classes
-    const style = document.createElement('style');
-    style.textContent = `
-        .highlight {
-            animation: highlight-pulse 1s ease-in-out;
+// Initialize utilities (skipped when loaded headless under Node)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Initialize performance monitor
+        window.performanceMonitor = new PerformanceMonitor();
+    
+        // Initialize particle system when canvas is available
+        const canvas = document.getElementById('gameCanvas');
+        if (canvas) {
+            window.particleSystem = new ParticleSystem(canvas);
         }
+    
+        // Add CSS for utility classes
+        const style = document.createElement('style');
+        style.textContent = `
+            .highlight {
+                animation: highlight-pulse 1s ease-in-out;
+            }
         
-        @keyframes highlight-pulse {
-            0%, 100% { box-shadow: 0 0 0 rgba(255, 193, 7, 0); }
-            50% { box-shadow: 0 0 20px rgba(255, 193, 7, 0.8); }
-        }
+            @keyframes highlight-pulse {
+                0%, 100% { box-shadow: 0 0 0 rgba(255, 193, 7, 0); }
+                50% { box-shadow: 0 0 20px rgba(255, 193, 7, 0.8); }
+            }
         
-        @keyframes ripple {
-            to {
-                transform: scale(4);
-                opacity: 0;
+            @keyframes ripple {
+                to {
+                    transform: scale(4);
+                    opacity: 0;
+                }
             }
-        }
         
-        .floating-text {
-            font-family: Arial, sans-serif;
-            text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
-        }
+            .floating-text {
+                font-family: Arial, sans-serif;
+                text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
+            }
         
-        .modal-overlay {
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 1000;
-        }
+            .modal-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.5);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 1000;
+            }
         
-        .modal-content {
-            background: white;
-            border-radius: 8px;
-            padding: 20px;
-            max-width: 500px;
-            width: 90%;
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-        }
+            .modal-content {
+                background: white;
+                border-radius: 8px;
+                padding: 20px;
+                max-width: 500px;
+                width: 90%;
+                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+            }
         
-        .modal-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 15px;
-        }
+            .modal-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 15px;
+            }
         
-        .modal-close {
-            background: none;
-            border: none;
-            font-size: 24px;
-            cursor: pointer;
-            padding: 0;
-            width: 30px;
-            height: 30px;
-        }
+            .modal-close {
+                background: none;
+                border: none;
+                font-size: 24px;
+                cursor: pointer;
+                padding: 0;
+                width: 30px;
+                height: 30px;
+            }
         
-        .modal-footer {
-            display: flex;
-            gap: 10px;
-            justify-content: flex-end;
-            margin-top: 20px;
-        }
-    `;
-    document.head.appendChild(style);
-});
+            .modal-footer {
+                display: flex;
+                gap: 10px;
+                justify-content: flex-end;
+                margin-top: 20px;
+            }
+        `;
+        document.head.appendChild(style);
+    });
+}
 
 // Export utilities
 if (typeof module !== 'undefined' && module.exports) {
@@ -700,6 +809,7 @@ if (typeof module !== 'undefined' && module.exports) {
         ParticleSystem,
         StorageManager,
         MathUtils,
+        SeededRandom,
         ColorUtils,
         Timer,
         EventEmitter,
@@ -0,0 +1,275 @@
+/**
+ * Memory Match Pro - Online Versus Client
+ * Talks to the versus relay and mirrors the board it holds into a local engine for drawing
+ * @author Gzeu
+ * @version 1.0.0
+ */
+
+// Shared modules are globals in the browser and CommonJS modules under Node
+const versusDeps = typeof module !== 'undefined' && module.exports
+    ? { GameEngine: require('./engine.js'), EventEmitter: require('./utils.js').EventEmitter }
+    : { GameEngine, EventEmitter };
+
+class VersusClient extends versusDeps.EventEmitter {
+    constructor(url, options = {}) {
+        super();
+
+        this.url = url;
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof sessionStorage !== 'undefined' ? sessionStorage : null);
+
+        this.socket = null;
+        this.session = this.loadSession();
+        this.pendingMessage = null;
+        this.state = null;
+        this.retryDelay = VersusClient.MIN_RETRY_DELAY;
+        this.retryTimeout = null;
+        this.isClosed = false;
+
+        // Never started or flipped locally: it only ever holds the server's last word
+        this.engine = new versusDeps.GameEngine();
+    }
+
+    get seat() {
+        return this.session ? this.session.seat : null;
+    }
+
+    get code() {
+        return this.session ? this.session.code : null;
+    }
+
+    get isConnected() {
+        return this.socket !== null && this.socket.readyState === this.WebSocket.OPEN;
+    }
+
+    get isMyTurn() {
+        return this.state !== null && this.state.status === 'playing' &&
+            this.engine.currentPlayerIndex === this.seat;
+    }
+
+    // The session lives per tab, so two tabs can play each other and a reload rejoins
+    loadSession() {
+        try {
+            const item = this.storage && this.storage.getItem(VersusClient.SESSION_KEY);
+            return item ? JSON.parse(item) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        this.session = session;
+        try {
+            if (!this.storage) return;
+            if (session) {
+                this.storage.setItem(VersusClient.SESSION_KEY, JSON.stringify(session));
+            } else {
+                this.storage.removeItem(VersusClient.SESSION_KEY);
+            }
+        } catch (error) {
+            console.warn('Failed to store versus session:', error);
+        }
+    }
+
+    createRoom(name, difficulty, groupSize = 2) {
+        this.saveSession(null);
+        this.open({ type: 'create', name, difficulty, groupSize });
+    }
+
+    joinRoom(code, name) {
+        this.saveSession(null);
+        this.open({ type: 'join', code: String(code || '').trim().toUpperCase(), name });
+    }
+
+    rejoin() {
+        if (!this.session) return false;
+
+        this.open(null);
+        return true;
+    }
+
+    // Sends the message once connected; with a stored session the socket rejoins first
+    open(message) {
+        this.isClosed = false;
+        this.pendingMessage = message;
+
+        if (this.isConnected) {
+            this.sendPending();
+            return;
+        }
+
+        this.connect();
+    }
+
+    connect() {
+        clearTimeout(this.retryTimeout);
+        if (!this.WebSocket) {
+            this.emit('error', 'This browser does not support WebSockets');
+            return;
+        }
+
+        let socket;
+        try {
+            socket = new this.WebSocket(this.url);
+        } catch (error) {
+            this.emit('error', `Cannot reach ${this.url}`);
+            return;
+        }
+        this.socket = socket;
+        this.emit('connection', 'connecting');
+
+        socket.onopen = () => {
+            this.retryDelay = VersusClient.MIN_RETRY_DELAY;
+            this.emit('connection', 'connected');
+            this.sendPending();
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed versus message:', error);
+                return;
+            }
+            this.handleMessage(message);
+        };
+
+        socket.onclose = () => {
+            // Only the current socket decides; a replaced one closing late is noise
+            if (this.socket !== socket) return;
+            this.socket = null;
+
+            if (this.isClosed) {
+                this.emit('connection', 'closed');
+            } else if (this.session) {
+                this.emit('connection', 'reconnecting');
+                this.scheduleReconnect();
+            } else {
+                this.emit('connection', 'closed');
+                this.emit('error', `Cannot reach ${this.url}`);
+            }
+        };
+
+        // onclose always follows, which is where reconnecting happens
+        socket.onerror = () => {};
+    }
+
+    scheduleReconnect() {
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, VersusClient.MAX_RETRY_DELAY);
+    }
+
+    sendPending() {
+        if (this.session) {
+            this.send({ type: 'rejoin', code: this.session.code, token: this.session.token });
+        } else if (this.pendingMessage) {
+            this.send(this.pendingMessage);
+        }
+        this.pendingMessage = null;
+    }
+
+    send(message) {
+        if (!this.isConnected) return false;
+
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.saveSession({ code: message.code, seat: message.seat, token: message.token });
+                this.emit('joined', this.session);
+                break;
+
+            case 'state':
+                this.applyState(message.state);
+                break;
+
+            case 'reject':
+                this.emit('rejected', message.reason, message.cardId);
+                break;
+
+            case 'error':
+                // The room is gone, so there is nothing left to reconnect to
+                if (message.code === 'unknown-session') {
+                    this.saveSession(null);
+                    this.state = null;
+                }
+                this.emit('error', message.message);
+                break;
+
+            default:
+                console.warn('Unknown versus message:', message.type);
+        }
+    }
+
+    applyState(state) {
+        // Broadcasts can overtake a resync reply; never step back to an older board
+        if (this.state && state.code === this.state.code && state.revision < this.state.revision) return;
+
+        const previous = this.state;
+        this.state = state;
+
+        if (state.game) {
+            try {
+                this.engine.restore(state.game);
+            } catch (error) {
+                console.warn('Invalid versus state, asking for a resync:', error);
+                this.send({ type: 'sync' });
+                return;
+            }
+        }
+
+        this.emit('state', state, previous);
+    }
+
+    // Checked against the mirrored board first; the server has the final say either way
+    flip(cardId) {
+        if (!this.isMyTurn || this.engine.hasPendingMismatch()) return false;
+
+        const card = this.engine.cards[cardId];
+        if (!card || card.isFlipped || card.isMatched) return false;
+
+        return this.send({ type: 'flip', cardId, revision: this.state.revision });
+    }
+
+    resync() {
+        return this.send({ type: 'sync' });
+    }
+
+    leave() {
+        this.send({ type: 'leave' });
+        this.close();
+        this.saveSession(null);
+        this.state = null;
+    }
+
+    close() {
+        this.isClosed = true;
+        clearTimeout(this.retryTimeout);
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.engine.removeAllListeners();
+        this.removeAllListeners();
+    }
+}
+
+VersusClient.SESSION_KEY = 'memoryMatch_versusSession';
+VersusClient.DEFAULT_URL = 'ws://localhost:3002';
+VersusClient.MIN_RETRY_DELAY = 1000;
+VersusClient.MAX_RETRY_DELAY = 10000;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersusClient;
+}
@@ -231,11 +231,6 @@ class GameManager {
                     event.preventDefault();
                     this.toggleFullscreen();
                     break;
-                case 'Escape':
-                    if (this.game && this.game.gameState === 'playing') {
-                        this.game.showStartScreen();
-                    }
-                    break;
             }
         });
     }
@@ -473,6 +468,9 @@ document.addEventListener('DOMContentLoaded', () => {
 document.addEventListener('visibilitychange', () => {
     if (window.game) {
         if (document.hidden) {
+            // The tab may never come back (mobile browsers discard hidden tabs), so save first
+            window.game.saveProgress();
+            
             // Pause game when tab is hidden
             if (window.game.gameState === 'playing' && !window.game.isPaused) {
                 window.game.togglePause();
@@ -492,6 +490,10 @@ document.addEventListener('visibilitychange', () => {
 
 // Handle beforeunload for cleanup
 window.addEventListener('beforeunload', () => {
+    if (window.game) {
+        window.game.saveProgress();
+    }
+    
     if (window.gameManager) {
         window.gameManager.destroy();
     }
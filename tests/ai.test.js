@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+const GameEngine = require('../src/js/engine.js');
+const MemoryBot = require('../src/js/ai.js');
+
+describe('MemoryBot', () => {
+    test('remembers cards it has seen turned over and goes for a known pair', () => {
+        const engine = new GameEngine({ difficulty: 'medium' });
+        const bot = new MemoryBot(engine, { level: 'perfect' });
+        engine.start({ seed: 4 });
+
+        const [first] = engine.cards;
+        const partner = engine.cards.find(card => card !== first && card.pairId === first.pairId);
+        engine.flip(first.id);
+        engine.flip(partner.id === 1 ? 2 : 1);
+        engine.flip(partner.id);
+        engine.concealMismatch();
+
+        expect(bot.memory.get(partner.id)).toBe(first.pairId);
+        expect(bot.findKnownSet(engine.cards.map(card => card.id))).toEqual(expect.arrayContaining([first.id, partner.id]));
+    });
+
+    test('is not told which cards a swap moved', () => {
+        const engine = new GameEngine({ difficulty: 'hard', level: 7 });
+        const bot = new MemoryBot(engine, { level: 'perfect' });
+        engine.start({ seed: 8 });
+
+        engine.cards.forEach(card => bot.remember(card.id, card.pairId));
+        const before = new Map(bot.memory);
+
+        const swapped = [];
+        engine.on('swap', cards => swapped.push(...cards));
+        engine.swapHiddenCards();
+
+        expect(swapped).toHaveLength(2);
+        expect(bot.memory).toEqual(before);
+        swapped.forEach(card => expect(bot.memory.get(card.id)).not.toBe(card.pairId));
+    });
+
+    test('learns the moved card once it is turned over', () => {
+        const engine = new GameEngine({ difficulty: 'hard', level: 7 });
+        const bot = new MemoryBot(engine, { level: 'perfect' });
+        engine.start({ seed: 8 });
+
+        const swapped = [];
+        engine.on('swap', cards => swapped.push(...cards));
+        engine.swapHiddenCards();
+        engine.flip(swapped[0].id);
+
+        expect(bot.memory.get(swapped[0].id)).toBe(swapped[0].pairId);
+    });
+});
@@ -0,0 +1,62 @@
+const GameEngine = require('../src/js/engine.js');
+const { MemoryAnalytics } = require('../src/js/analytics.js');
+
+// A seeded easy board of three pairs, with the card ids of each pair in deal order
+function createGame() {
+    const engine = new GameEngine({ now: () => 0 });
+    const analytics = new MemoryAnalytics(engine);
+    engine.start({ difficulty: 'easy', seed: 12 });
+
+    const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+    const [a, b, c] = pairIds.map(pairId => engine.cards.filter(card => card.pairId === pairId).map(card => card.id));
+
+    const play = (...ids) => ids.forEach(id => engine.flip(id));
+    return { engine, analytics, a, b, c, play };
+}
+
+describe('MemoryAnalytics', () => {
+    test('turning over another card while the partner was already seen is a known miss', () => {
+        const { analytics, a, b, c, play } = createGame();
+
+        play(a[0], b[0]);
+        // a[0] is remembered from the first attempt, yet b[0] is picked
+        play(a[1], b[0]);
+        play(a[0], a[1], b[0], b[1], c[0], c[1]);
+
+        expect(analytics.getSummary()).toEqual(expect.objectContaining({ knownHits: 1, knownMisses: 1, perfectMemory: 50 }));
+    });
+
+    test('every seen partner remembered is perfect memory', () => {
+        const { engine, analytics, a, b, c, play } = createGame();
+
+        play(a[0], b[0]);
+        play(a[1], a[0]);
+        play(b[1], b[0]);
+        // Neither card was seen before, so this pair is luck and not a chance to remember
+        play(c[0], c[1]);
+
+        expect(engine.status).toBe('completed');
+        const summary = analytics.getSummary();
+        expect(summary).toEqual(expect.objectContaining({ knownHits: 2, knownMisses: 0, perfectMemory: 100 }));
+        expect(summary.reveals[a[0]]).toBe(2);
+        expect(summary.reveals[c[0]]).toBe(1);
+    });
+
+    test('a board cleared without a chance to remember anything is perfect', () => {
+        const { analytics, a, b, c, play } = createGame();
+
+        play(...a, ...b, ...c);
+
+        expect(analytics.getSummary()).toEqual(expect.objectContaining({ knownHits: 0, knownMisses: 0, perfectMemory: 100 }));
+    });
+
+    test('a new game starts counting afresh', () => {
+        const { engine, analytics, a, b, play } = createGame();
+
+        play(a[0], b[0]);
+        play(a[1], b[0]);
+        engine.start({ seed: 13 });
+
+        expect(analytics.serialize()).toEqual({ knownHits: 0, knownMisses: 0 });
+    });
+});
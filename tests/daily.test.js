@@ -0,0 +1,78 @@
+const DailyChallenge = require('../src/js/daily.js');
+
+const won = { won: true, score: 900, moves: 12, time: 40000 };
+const lost = { won: false, score: 120, moves: 20, time: 90000 };
+
+// Starts and finishes the scored attempt of one day
+function play(dateKey, result = won) {
+    DailyChallenge.startAttempt(dateKey);
+    return DailyChallenge.recordResult(result, dateKey);
+}
+
+describe('DailyChallenge', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-18T21:30:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('every player gets the same board on the same UTC day', () => {
+        expect(DailyChallenge.getDateKey()).toBe('2026-10-18');
+        expect(DailyChallenge.getSeed()).toBe('daily-2026-10-18');
+        expect(DailyChallenge.shiftDateKey('2026-03-01', -1)).toBe('2026-02-28');
+    });
+
+    test('completing consecutive days continues the streak', () => {
+        play('2026-10-16');
+        play('2026-10-17');
+        play('2026-10-18');
+
+        expect(DailyChallenge.getStreak()).toBe(3);
+        expect(DailyChallenge.getBestStreak()).toBe(3);
+    });
+
+    test('a missed day starts the streak over, but keeps the best one', () => {
+        play('2026-10-13');
+        play('2026-10-14');
+        play('2026-10-16');
+
+        expect(DailyChallenge.getStreak('2026-10-16')).toBe(1);
+        expect(DailyChallenge.getBestStreak()).toBe(2);
+    });
+
+    test('a lost challenge starts the streak over', () => {
+        play('2026-10-15');
+        play('2026-10-16', lost);
+        play('2026-10-17');
+
+        expect(DailyChallenge.getStreak()).toBe(1);
+    });
+
+    test('a streak is still current until today\'s challenge is missed', () => {
+        play('2026-10-16');
+        play('2026-10-17');
+
+        expect(DailyChallenge.getStreak()).toBe(2);
+        expect(DailyChallenge.getStreak('2026-10-19')).toBe(0);
+    });
+
+    test('each day has one scored attempt, used up as soon as it starts', () => {
+        expect(DailyChallenge.hasAttempted()).toBe(false);
+        expect(DailyChallenge.startAttempt()).toBe(true);
+        expect(DailyChallenge.hasAttempted()).toBe(true);
+
+        // Abandoned and started again: the retry is not scored
+        expect(DailyChallenge.startAttempt()).toBe(false);
+        expect(DailyChallenge.recordResult(lost)).toEqual(expect.objectContaining({ status: 'failed' }));
+        expect(DailyChallenge.recordResult(won)).toBeNull();
+        expect(DailyChallenge.getResult()).toEqual(expect.objectContaining({ status: 'failed', score: lost.score }));
+        expect(DailyChallenge.getStreak()).toBe(0);
+    });
+
+    test('a result without a started attempt is not recorded', () => {
+        expect(DailyChallenge.recordResult(won)).toBeNull();
+        expect(DailyChallenge.getResult()).toBeNull();
+    });
+});
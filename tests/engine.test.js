@@ -0,0 +1,453 @@
+/**
+ * @jest-environment node
+ */
+const GameEngine = require('../src/js/engine.js');
+const { ReplayRecorder, ReplayPlayer } = require('../src/js/replay.js');
+
+// An engine on a clock the test moves by hand
+function createEngine(options = {}) {
+    const clock = { time: 0 };
+    const engine = new GameEngine({ now: () => clock.time, ...options });
+    return { engine, clock };
+}
+
+// Ids of two unmatched cards that are not a pair
+function findMismatch(engine) {
+    const cards = engine.cards.filter(card => !card.isMatched);
+    const [first] = cards;
+    const other = cards.find(card => card.pairId !== first.pairId);
+    return [first.id, other.id];
+}
+
+function findPair(engine, pairId) {
+    return engine.cards.filter(card => card.pairId === pairId).map(card => card.id);
+}
+
+describe('GameEngine', () => {
+    describe('seeded deal', () => {
+        test('the same seed always deals the same board', () => {
+            const { engine: a } = createEngine();
+            const { engine: b } = createEngine();
+
+            a.start({ difficulty: 'hard', seed: 'daily-2026-10-18' });
+            b.start({ difficulty: 'hard', seed: 'daily-2026-10-18' });
+
+            expect(a.seed).toBe(b.seed);
+            expect(a.cards.map(card => card.symbol)).toEqual(b.cards.map(card => card.symbol));
+        });
+
+        test('a different seed deals a different board', () => {
+            const { engine: a } = createEngine();
+            const { engine: b } = createEngine();
+
+            a.start({ difficulty: 'expert', seed: 1 });
+            b.start({ difficulty: 'expert', seed: 2 });
+
+            expect(a.cards.map(card => card.symbol)).not.toEqual(b.cards.map(card => card.symbol));
+        });
+
+        test('every symbol on the board comes as a full set', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', groupSize: 3, seed: 7 });
+
+            const counts = {};
+            engine.cards.forEach(card => {
+                counts[card.pairId] = (counts[card.pairId] || 0) + 1;
+            });
+
+            expect(Object.values(counts).every(count => count === 3)).toBe(true);
+            expect(engine.totalPairs).toBe(engine.cards.length / 3);
+        });
+    });
+
+    describe('mismatch', () => {
+        test('mismatched cards stay up until the next flip conceals them', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 42 });
+
+            const conceal = jest.fn();
+            engine.on('conceal', conceal);
+
+            const [first, second] = findMismatch(engine);
+            engine.flip(first);
+            engine.flip(second);
+
+            expect(engine.moves).toBe(1);
+            expect(engine.hasPendingMismatch()).toBe(true);
+            expect(engine.cards[first].isFlipped).toBe(true);
+            expect(engine.cards[second].isFlipped).toBe(true);
+
+            const third = engine.cards.find(card => !card.isFlipped).id;
+            expect(engine.flip(third)).toBe(true);
+
+            expect(conceal).toHaveBeenCalledTimes(1);
+            expect(engine.cards[first].isFlipped).toBe(false);
+            expect(engine.cards[second].isFlipped).toBe(false);
+            expect(engine.flippedCards.map(card => card.id)).toEqual([third]);
+        });
+
+        test('the same card cannot be flipped twice in one attempt', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 42 });
+
+            expect(engine.flip(0)).toBe(true);
+            expect(engine.flip(0)).toBe(false);
+            expect(engine.flippedCards).toHaveLength(1);
+        });
+    });
+
+    describe('score', () => {
+        test('a match scores the set base plus the time bonus left, less 5 per move', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 3 });
+
+            // Two misses, then a match 12.5 s into the game
+            engine.flip(findMismatch(engine)[0]);
+            engine.flip(findMismatch(engine)[1]);
+            engine.flip(findMismatch(engine)[0]);
+            engine.flip(findMismatch(engine)[1]);
+            clock.time = 12500;
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+
+            // 50 * 2 + (100 - 12) - 3 * 5
+            expect(engine.matchedPairs).toBe(1);
+            expect(engine.score).toBe(173);
+        });
+
+        test('a match never scores less than 10', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 3 });
+
+            engine.moves = 40;
+            clock.time = 600000;
+
+            expect(engine.calculateScore()).toBe(10);
+        });
+
+        test('bigger sets raise the base score', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', groupSize: 4, seed: 3 });
+
+            engine.moves = 1;
+
+            // 50 * 4 + 100 - 5
+            expect(engine.calculateScore()).toBe(295);
+        });
+
+        test('clearing the board adds the final time bonus', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 9 });
+
+            const complete = jest.fn();
+            engine.on('complete', complete);
+
+            const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+            pairIds.forEach((pairId, i) => {
+                clock.time = (i + 1) * 2000;
+                findPair(engine, pairId).forEach(id => engine.flip(id));
+            });
+
+            // Pairs at 2 s, 4 s and 6 s after moves 1, 2 and 3, then 1000 - 6 * 10
+            const matches = (100 + 48 - 5) + (100 + 46 - 10) + (100 + 44 - 15);
+            expect(engine.status).toBe('completed');
+            expect(engine.score).toBe(matches + 940);
+            expect(complete).toHaveBeenCalledWith(expect.objectContaining({ won: true, score: matches + 940, time: 6000 }));
+        });
+    });
+
+    describe('time attack', () => {
+        // Easy boards hold 3 pairs: 10 s + 3 * 4 s
+        test('counts down from the base time plus time per pair, and a match adds time back', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'timeAttack', seed: 5 });
+
+            expect(engine.timeLimit).toBe(22000);
+            clock.time = 5000;
+            expect(engine.getRemainingTime()).toBe(17000);
+
+            clock.time = 6000;
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+
+            expect(engine.timeLimit).toBe(25000);
+            expect(engine.getRemainingTime()).toBe(19000);
+        });
+
+        test('running out of time loses the game', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'timeAttack', seed: 5 });
+
+            const lose = jest.fn();
+            engine.on('lose', lose);
+
+            clock.time = 21999;
+            expect(engine.checkTimeLimit()).toBe(false);
+            clock.time = 22000;
+            expect(engine.checkTimeLimit()).toBe(true);
+
+            expect(engine.status).toBe('lost');
+            expect(lose).toHaveBeenCalledWith(expect.objectContaining({ won: false, lossReason: 'timeout' }));
+        });
+
+        test('a flip after the countdown ran out ends the game at the limit instead', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'timeAttack', seed: 5 });
+
+            // Paused time does not count, and neither does the time since the limit passed
+            clock.time = 1000;
+            engine.pause();
+            clock.time = 11000;
+            engine.resume();
+            clock.time = 90000;
+
+            expect(engine.flip(0)).toBe(false);
+            expect(engine.cards[0].isFlipped).toBe(false);
+            expect(engine.getResult()).toEqual(expect.objectContaining({ lossReason: 'timeout', time: 22000, moves: 0 }));
+        });
+
+        test('classic games have no countdown', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 5 });
+
+            clock.time = 600000;
+
+            expect(engine.timeLimit).toBeNull();
+            expect(engine.getRemainingTime()).toBeNull();
+            expect(engine.checkTimeLimit()).toBe(false);
+            expect(engine.status).toBe('playing');
+        });
+    });
+
+    describe('survival', () => {
+        // Easy boards hold 3 pairs: ceil(3 * 1.5) attempts
+        test('each attempt spends the move budget and a match refunds one', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'survival', seed: 8 });
+
+            expect(engine.attemptsLeft).toBe(5);
+            findMismatch(engine).forEach(id => engine.flip(id));
+            expect(engine.attemptsLeft).toBe(4);
+
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+            expect(engine.moves).toBe(2);
+            expect(engine.attemptsLeft).toBe(4);
+        });
+
+        test('the last attempt spent without clearing the board loses the game', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'survival', seed: 8 });
+
+            const lose = jest.fn();
+            engine.on('lose', lose);
+
+            for (let miss = 1; miss <= 5; miss++) {
+                clock.time = miss * 1000;
+                findMismatch(engine).forEach(id => engine.flip(id));
+            }
+            clock.time = 9000;
+
+            expect(engine.status).toBe('lost');
+            expect(engine.flip(engine.cards[0].id)).toBe(false);
+            expect(lose).toHaveBeenCalledTimes(1);
+            expect(lose).toHaveBeenCalledWith(expect.objectContaining({
+                won: false, lossReason: 'outOfMoves', attemptsLeft: 0, moves: 5, time: 5000
+            }));
+        });
+
+        test('a match on the last attempt keeps the game going', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'easy', mode: 'survival', seed: 8 });
+
+            for (let miss = 1; miss <= 4; miss++) {
+                findMismatch(engine).forEach(id => engine.flip(id));
+            }
+            expect(engine.attemptsLeft).toBe(1);
+
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+
+            expect(engine.status).toBe('playing');
+            expect(engine.attemptsLeft).toBe(1);
+        });
+
+        test('classic games have no move budget', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'easy', seed: 8 });
+
+            for (let miss = 1; miss <= 20; miss++) {
+                findMismatch(engine).forEach(id => engine.flip(id));
+            }
+
+            expect(engine.attemptsLeft).toBeNull();
+            expect(engine.status).toBe('playing');
+        });
+    });
+
+    describe('hot seat', () => {
+        const players = [{ name: 'Ana' }, { name: 'Ben' }, { name: 'Cy' }];
+
+        test('a match keeps the turn and a miss passes it to the next player', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 4, players });
+
+            const turn = jest.fn();
+            engine.on('turn', turn);
+
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+            expect(engine.currentPlayer.name).toBe('Ana');
+            expect(engine.currentPlayer.pairs).toBe(1);
+            expect(turn).not.toHaveBeenCalled();
+
+            findMismatch(engine).forEach(id => engine.flip(id));
+            expect(engine.currentPlayer.name).toBe('Ben');
+            expect(turn).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'Ben' }));
+
+            // The last player hands the turn back to the first
+            findMismatch(engine).forEach(id => engine.flip(id));
+            findMismatch(engine).forEach(id => engine.flip(id));
+            expect(engine.currentPlayer.name).toBe('Ana');
+            expect(turn).toHaveBeenCalledTimes(3);
+        });
+
+        test('players are ranked by pairs found, then score', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 4, players });
+
+            Object.assign(engine.players[0], { pairs: 1, score: 400 });
+            Object.assign(engine.players[1], { pairs: 3, score: 300 });
+            Object.assign(engine.players[2], { pairs: 2, score: 500 });
+
+            expect(engine.getRanking().map(({ name, rank }) => [name, rank])).toEqual([['Ben', 1], ['Cy', 2], ['Ana', 3]]);
+        });
+
+        test('a shared first place is a draw', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 4, players: players.slice(0, 2) });
+
+            // Ana finds three pairs and misses, then Ben finds the other three
+            const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+            pairIds.slice(0, 3).forEach(pairId => findPair(engine, pairId).forEach(id => engine.flip(id)));
+            findMismatch(engine).forEach(id => engine.flip(id));
+            pairIds.slice(3).forEach(pairId => findPair(engine, pairId).forEach(id => engine.flip(id)));
+
+            const { won, players: ranking } = engine.getResult();
+            expect(won).toBe(true);
+            expect(ranking.map(({ name, pairs, rank }) => [name, pairs, rank])).toEqual(
+                expect.arrayContaining([['Ana', 3, 1], ['Ben', 3, 1]])
+            );
+        });
+
+        test('a single player has no turns or ranking', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 4, players: [{ name: 'Ana' }] });
+
+            findMismatch(engine).forEach(id => engine.flip(id));
+
+            expect(engine.isMultiplayer).toBe(false);
+            expect(engine.currentPlayer).toBeNull();
+            expect(engine.getResult().players).toBeNull();
+        });
+    });
+
+    describe('pairs with different faces', () => {
+        const symbols = [['H₂O', 'Water'], ['NaCl', 'Salt'], ['O₂', 'Oxygen'], ['CO₂', 'Carbon dioxide']];
+        const cardWith = (engine, symbol) => engine.cards.find(card => card.symbol === symbol).id;
+
+        test('each pair is dealt as a term and its definition, known by the term', () => {
+            const { engine } = createEngine({ symbols });
+            engine.start({ difficulty: 'easy', seed: 6 });
+
+            const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+            expect(pairIds).toHaveLength(3);
+            pairIds.forEach(pairId => {
+                const entry = symbols.find(faces => faces[0] === pairId);
+                expect(engine.cards.filter(card => card.pairId === pairId).map(card => card.symbol).sort()).toEqual([...entry].sort());
+            });
+        });
+
+        test('a term matches its definition and never another pair\'s', () => {
+            const { engine } = createEngine({ symbols });
+            engine.start({ difficulty: 'easy', seed: 6, deal: ['H₂O', 'Salt', 'O₂', 'Water', 'NaCl', 'Oxygen'] });
+
+            engine.flip(cardWith(engine, 'H₂O'));
+            engine.flip(cardWith(engine, 'Salt'));
+            expect(engine.matchedPairs).toBe(0);
+            expect(engine.hasPendingMismatch()).toBe(true);
+
+            engine.flip(cardWith(engine, 'Water'));
+            engine.flip(cardWith(engine, 'H₂O'));
+            expect(engine.matchedPairs).toBe(1);
+            expect(engine.cards[cardWith(engine, 'Water')].isMatched).toBe(true);
+        });
+
+        test('faces that are in no pair only match themselves', () => {
+            expect(new GameEngine({ symbols }).getPairId('Salt')).toBe('NaCl');
+            expect(new GameEngine({ symbols }).getPairId('🎯')).toBe('🎯');
+            expect(new GameEngine().getPairId('Salt')).toBe('Salt');
+        });
+
+        test('a replay restores the pairs it was dealt', () => {
+            const { engine, clock } = createEngine({ symbols });
+            const recorder = new ReplayRecorder(engine);
+            engine.start({ difficulty: 'easy', seed: 6 });
+
+            const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+            pairIds.forEach((pairId, i) => {
+                clock.time = (i + 1) * 1000;
+                findPair(engine, pairId).forEach(id => engine.flip(id));
+            });
+
+            const replay = JSON.parse(JSON.stringify(recorder.getReplay()));
+            expect(replay.pairs).toHaveLength(3);
+
+            const player = new ReplayPlayer(replay);
+            player.seek(player.duration);
+            expect(player.engine.cards.map(card => card.pairId)).toEqual(engine.cards.map(card => card.pairId));
+            expect(player.engine.getResult()).toEqual(engine.getResult());
+        });
+    });
+
+    describe('serialize and restore', () => {
+        test('a restored game is the same game', () => {
+            const { engine, clock } = createEngine();
+            engine.start({ difficulty: 'hard', mode: 'survival', level: 2, seed: 'save' });
+
+            clock.time = 3000;
+            findPair(engine, engine.cards[0].pairId).forEach(id => engine.flip(id));
+            clock.time = 5000;
+            const [first, ...rest] = engine.cards.filter(card => !card.isMatched);
+            engine.flip(first.id);
+            engine.flip(rest.find(card => card.pairId !== first.pairId).id);
+
+            const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+            const { engine: restored, clock: restoredClock } = createEngine();
+            restoredClock.time = 90000;
+            restored.restore(snapshot);
+
+            expect(restored.serialize()).toEqual(snapshot);
+            expect(restored.hasPendingMismatch()).toBe(true);
+            expect(restored.getState()).toEqual(engine.getState());
+        });
+
+        test('a restored game plays on like the original', () => {
+            const { engine } = createEngine();
+            engine.start({ difficulty: 'medium', seed: 11 });
+            engine.flip(findMismatch(engine)[0]);
+
+            const { engine: restored } = createEngine();
+            restored.restore(engine.serialize());
+
+            const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+            [engine, restored].forEach(game => {
+                pairIds.forEach(pairId => findPair(game, pairId).forEach(id => game.flip(id)));
+            });
+
+            expect(restored.getResult()).toEqual(engine.getResult());
+        });
+
+        test('an unknown difficulty is refused', () => {
+            const { engine } = createEngine();
+            engine.start({ seed: 1 });
+
+            expect(() => engine.restore({ ...engine.serialize(), difficulty: 'impossible' })).toThrow('Unknown difficulty');
+        });
+    });
+});
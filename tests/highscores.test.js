@@ -0,0 +1,65 @@
+const HighScoreTable = require('../src/js/highscores.js');
+
+function result(overrides = {}) {
+    return { score: 500, moves: 10, time: 30000, ...overrides };
+}
+
+describe('HighScoreTable', () => {
+    test('ranks by higher score, then fewer moves, then less time', () => {
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'Slow', result({ time: 40000 }));
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'Low', result({ score: 400, moves: 6, time: 10000 }));
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'Wasteful', result({ moves: 12, time: 20000 }));
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'Best', result({ score: 600, moves: 20, time: 90000 }));
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'Quick', result());
+
+        expect(HighScoreTable.getTable({ difficulty: 'medium' }).map(entry => entry.name)).toEqual(['Best', 'Quick', 'Slow', 'Wasteful', 'Low']);
+    });
+
+    test('an exact tie ranks behind the entry already in the table', () => {
+        HighScoreTable.addEntry({ difficulty: 'medium' }, 'First', result());
+
+        expect(HighScoreTable.getRank({ difficulty: 'medium' }, result())).toBe(1);
+        expect(HighScoreTable.addEntry({ difficulty: 'medium' }, 'Second', result())).toBe(1);
+    });
+
+    test('keeps only the top entries once the table is full', () => {
+        for (let i = 0; i < HighScoreTable.MAX_ENTRIES; i++) {
+            HighScoreTable.addEntry({ difficulty: 'hard' }, `Player ${i}`, result({ score: 1000 - i * 10 }));
+        }
+
+        const lowest = result({ score: 1000 - (HighScoreTable.MAX_ENTRIES - 1) * 10 });
+        expect(HighScoreTable.qualifies({ difficulty: 'hard' }, result({ score: 10 }))).toBe(false);
+        expect(HighScoreTable.getRank({ difficulty: 'hard' }, { ...lowest, moves: lowest.moves + 1 })).toBe(-1);
+        expect(HighScoreTable.getRank({ difficulty: 'hard' }, { ...lowest, moves: lowest.moves - 1 })).toBe(HighScoreTable.MAX_ENTRIES - 1);
+
+        expect(HighScoreTable.addEntry({ difficulty: 'hard' }, 'Newcomer', result({ score: 995 }))).toBe(1);
+        const table = HighScoreTable.getTable({ difficulty: 'hard' });
+        expect(table).toHaveLength(HighScoreTable.MAX_ENTRIES);
+        expect(table.map(entry => entry.name)).not.toContain(`Player ${HighScoreTable.MAX_ENTRIES - 1}`);
+    });
+
+    test('keeps each difficulty, mode and level in its own table', () => {
+        HighScoreTable.addEntry({ difficulty: 'easy', mode: 'classic', level: 1 }, 'Ana', result());
+
+        expect(HighScoreTable.getTable({ difficulty: 'easy' })).toHaveLength(1);
+        expect(HighScoreTable.getTable({ difficulty: 'expert' })).toEqual([]);
+        expect(HighScoreTable.getTable({ difficulty: 'easy', mode: 'timeAttack', level: 1 })).toEqual([]);
+        expect(HighScoreTable.getTable({ difficulty: 'easy', mode: 'classic', level: 4 })).toEqual([]);
+        expect(HighScoreTable.getRank({ difficulty: 'easy', mode: 'survival', level: 1 }, result({ score: 10 }))).toBe(0);
+    });
+
+    test('classic level 1 keeps the tables saved before modes and levels', () => {
+        StorageManager.saveGameData(`${HighScoreTable.STORAGE_PREFIX}hard`, [{ name: 'Ana', ...result() }]);
+
+        expect(HighScoreTable.getTable({ difficulty: 'hard', mode: 'classic', level: 1 })).toHaveLength(1);
+        expect(HighScoreTable.getKey({ difficulty: 'hard', mode: 'survival', level: 3 })).toBe('hard_survival_3');
+    });
+
+    test('names are trimmed, shortened and escaped', () => {
+        HighScoreTable.addEntry({ difficulty: 'easy' }, '  <b>A very long player name indeed</b>  ', result());
+
+        const [{ name }] = HighScoreTable.getTable({ difficulty: 'easy' });
+        expect(name).not.toContain('<');
+        expect(HighScoreTable.sanitizeName('   ')).toBe('Player');
+    });
+});
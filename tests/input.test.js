@@ -0,0 +1,107 @@
+const PointerInput = require('../src/js/input.js');
+
+// jsdom has no PointerEvent, so pointer events are mouse events with a pointer id
+function dispatch(element, type, id, x, y, button = 0) {
+    const event = new MouseEvent(type, { button, clientX: x, clientY: y });
+    Object.defineProperty(event, 'pointerId', { value: id });
+    element.dispatchEvent(event);
+}
+
+describe('PointerInput', () => {
+    let element;
+    let input;
+    let events;
+
+    beforeEach(() => {
+        element = document.createElement('canvas');
+        input = new PointerInput(element, event => ({ x: event.clientX, y: event.clientY }));
+
+        // Every event in the order it was emitted, with its payload
+        events = [];
+        ['press', 'release', 'tap', 'drag', 'pinch'].forEach(name => {
+            input.on(name, data => events.push(data === undefined ? [name] : [name, data]));
+        });
+    });
+
+    afterEach(() => {
+        input.detach();
+    });
+
+    test('a press lifted where it went down is a tap', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointerup', 1, 100, 100);
+
+        expect(events).toEqual([['press', { x: 100, y: 100 }], ['release'], ['tap', { x: 100, y: 100 }]]);
+    });
+
+    test('a press may wander up to TAP_SLOP and still tap', () => {
+        const slop = PointerInput.TAP_SLOP;
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointermove', 1, 100 + slop * 0.6, 100 + slop * 0.8);
+        dispatch(element, 'pointerup', 1, 100 + slop * 0.6, 100 + slop * 0.8);
+
+        expect(events.map(([name]) => name)).toEqual(['press', 'release', 'tap']);
+    });
+
+    test('a press moved past TAP_SLOP is released and drags instead of tapping', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointermove', 1, 100 + PointerInput.TAP_SLOP + 1, 100);
+        dispatch(element, 'pointermove', 1, 100 + PointerInput.TAP_SLOP + 6, 98);
+        dispatch(element, 'pointerup', 1, 100 + PointerInput.TAP_SLOP + 6, 98);
+
+        expect(events).toEqual([
+            ['press', { x: 100, y: 100 }],
+            ['release'],
+            ['drag', { dx: PointerInput.TAP_SLOP + 1, dy: 0 }],
+            ['drag', { dx: 5, dy: -2 }]
+        ]);
+    });
+
+    test('a second touch cancels the press and pinches instead', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointerdown', 2, 200, 100);
+
+        expect(events).toEqual([['press', { x: 100, y: 100 }], ['release']]);
+
+        // The fingers spread to twice the distance, the midpoint moving 50 px to the right
+        dispatch(element, 'pointermove', 2, 300, 100);
+        expect(events[2]).toEqual(['pinch', { scale: 2, x: 200, y: 100, dx: 50, dy: 0 }]);
+
+        // Neither finger taps when it lifts
+        dispatch(element, 'pointerup', 1, 100, 100);
+        dispatch(element, 'pointerup', 2, 300, 100);
+        expect(events.map(([name]) => name)).toEqual(['press', 'release', 'pinch']);
+    });
+
+    test('after a pinch, one finger left down neither pinches nor taps', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointerdown', 2, 200, 100);
+        dispatch(element, 'pointerup', 2, 200, 100);
+        dispatch(element, 'pointermove', 1, 102, 100);
+        dispatch(element, 'pointerup', 1, 102, 100);
+
+        expect(events.map(([name]) => name)).toEqual(['press', 'release']);
+    });
+
+    test('a cancelled pointer releases the press without a tap', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100);
+        dispatch(element, 'pointercancel', 1, 100, 100);
+        dispatch(element, 'pointerup', 1, 100, 100);
+
+        expect(events.map(([name]) => name)).toEqual(['press', 'release']);
+    });
+
+    test('only the main mouse button presses', () => {
+        dispatch(element, 'pointerdown', 1, 100, 100, 2);
+        dispatch(element, 'pointerup', 1, 100, 100, 2);
+
+        expect(events).toEqual([]);
+    });
+
+    test('a detached input no longer listens', () => {
+        input.detach();
+        dispatch(element, 'pointerdown', 1, 100, 100);
+
+        expect(events).toEqual([]);
+    });
+});
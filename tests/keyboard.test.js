@@ -0,0 +1,90 @@
+const KeyBindings = require('../src/js/keyboard.js');
+
+describe('KeyBindings', () => {
+    describe('normalize', () => {
+        test('no saved bindings gives the defaults', () => {
+            expect(KeyBindings.normalize(null)).toEqual(KeyBindings.DEFAULTS);
+        });
+
+        test('saved bindings lacking newer actions get those from the defaults', () => {
+            const saved = { up: ['KeyI'], down: ['KeyK'], left: ['KeyJ'], right: ['KeyL'], flip: ['Space'] };
+            const bindings = KeyBindings.normalize(saved);
+
+            expect(bindings.up).toEqual(['KeyI']);
+            expect(bindings.flip).toEqual(['Space']);
+            expect(bindings.pause).toEqual(KeyBindings.DEFAULTS.pause);
+            expect(bindings.help).toEqual(KeyBindings.DEFAULTS.help);
+            expect(Object.keys(bindings)).toEqual(Object.keys(KeyBindings.DEFAULTS));
+        });
+
+        test('an action saved without any key falls back to its defaults', () => {
+            const bindings = KeyBindings.normalize({ ...KeyBindings.DEFAULTS, pause: [], menu: [42, null] });
+
+            expect(bindings.pause).toEqual(['KeyP']);
+            expect(bindings.menu).toEqual(['Escape']);
+        });
+
+        test('the fallback skips default keys another action has taken', () => {
+            const bindings = KeyBindings.normalize({ ...KeyBindings.DEFAULTS, up: ['KeyH'], help: [] });
+
+            expect(bindings.help).toEqual(['Slash']);
+            expect(KeyBindings.getAction(bindings, 'KeyH')).toBe('up');
+        });
+
+        test('drops saved entries that are not key codes', () => {
+            expect(KeyBindings.normalize({ flip: ['Enter', 7, null] }).flip).toEqual(['Enter']);
+        });
+    });
+
+    describe('rebind', () => {
+        const defaults = KeyBindings.normalize(null);
+
+        test('puts the action on the new key alone', () => {
+            const bindings = KeyBindings.rebind(defaults, 'flip', 'KeyF');
+
+            expect(bindings.flip).toEqual(['KeyF']);
+            expect(KeyBindings.getAction(bindings, 'KeyF')).toBe('flip');
+            expect(KeyBindings.getAction(bindings, 'Enter')).toBeNull();
+        });
+
+        test('frees a key taken from another action', () => {
+            const bindings = KeyBindings.rebind(defaults, 'flip', 'KeyW');
+
+            expect(bindings.up).toEqual(['ArrowUp']);
+            expect(KeyBindings.getAction(bindings, 'KeyW')).toBe('flip');
+        });
+
+        test('an action that loses its only key takes over the rebound action\'s keys', () => {
+            const bindings = KeyBindings.rebind(defaults, 'flip', 'KeyP');
+
+            expect(bindings.flip).toEqual(['KeyP']);
+            expect(bindings.pause).toEqual(['Enter', 'Space']);
+            expect(KeyBindings.normalize(bindings)).toEqual(bindings);
+        });
+
+        test('refuses reserved keys', () => {
+            expect(() => KeyBindings.rebind(defaults, 'flip', 'Tab')).toThrow('Tab cannot be rebound');
+            expect(() => KeyBindings.rebind(defaults, 'up', 'Digit3')).toThrow('3 cannot be rebound');
+            expect(() => KeyBindings.rebind(defaults, 'up', 'Numpad0')).toThrow('cannot be rebound');
+        });
+
+        test('leaves the bindings it was given untouched', () => {
+            KeyBindings.rebind(defaults, 'flip', 'KeyW');
+
+            expect(defaults).toEqual(KeyBindings.DEFAULTS);
+        });
+    });
+
+    describe('formatKey and getDigit', () => {
+        test('labels keys the way they are printed', () => {
+            expect(['KeyW', 'ArrowUp', 'Digit1', 'Escape', 'Slash', 'Space'].map(code => KeyBindings.formatKey(code)))
+                .toEqual(['W', '↑', '1', 'Esc', '/', 'Space']);
+        });
+
+        test('reads digits from the top row and the keypad only', () => {
+            expect(KeyBindings.getDigit('Digit4')).toBe(4);
+            expect(KeyBindings.getDigit('Numpad2')).toBe(2);
+            expect(KeyBindings.getDigit('KeyD')).toBeNull();
+        });
+    });
+});
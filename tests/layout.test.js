@@ -0,0 +1,155 @@
+const BoardLayout = require('../src/js/layout.js');
+const GameEngine = require('../src/js/engine.js');
+
+// Every card of a rows×cols grid, as the engine deals them
+function grid(rows, cols) {
+    return Array.from({ length: rows * cols }, (_, i) => ({ id: i, row: Math.floor(i / cols), col: i % cols }));
+}
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+describe('BoardLayout', () => {
+    describe('fit', () => {
+        test('keeps the engine\'s orientation when it gives the bigger cards', () => {
+            const layout = BoardLayout.fit(3, 4, 800, 600);
+
+            expect(layout).toEqual(expect.objectContaining({ rows: 3, cols: 4, turned: false }));
+        });
+
+        test('turns a wide grid a quarter on a portrait screen', () => {
+            const layout = BoardLayout.fit(3, 4, 360, 640);
+            const upright = BoardLayout.measure(3, 4, 360, 640, false);
+
+            expect(layout).toEqual(expect.objectContaining({ rows: 4, cols: 3, turned: true }));
+            expect(layout.cardWidth * layout.cardHeight).toBeGreaterThan(upright.cardWidth * upright.cardHeight);
+        });
+
+        test('never turns a square grid', () => {
+            expect(BoardLayout.fit(4, 4, 360, 640).turned).toBe(false);
+        });
+
+        test('cards never get longer than MAX_ASPECT in either direction', () => {
+            [[3, 4, 1000, 300], [3, 4, 300, 1000], [2, 3, 900, 700]].forEach(([rows, cols, width, height]) => {
+                const { cardWidth, cardHeight } = BoardLayout.fit(rows, cols, width, height);
+                expect(cardWidth).toBeLessThanOrEqual(cardHeight * BoardLayout.MAX_ASPECT + 1e-9);
+                expect(cardHeight).toBeLessThanOrEqual(cardWidth * BoardLayout.MAX_ASPECT + 1e-9);
+            });
+        });
+
+        test('centres the grid in the space the cards leave over', () => {
+            const layout = BoardLayout.fit(3, 4, 1000, 300);
+            const gridWidth = layout.cols * (layout.cardWidth + BoardLayout.GAP) - BoardLayout.GAP;
+
+            expect(layout.y).toBeCloseTo(BoardLayout.PADDING);
+            expect(layout.x).toBeCloseTo((1000 - gridWidth) / 2);
+        });
+
+        test('a space too small for any card gives empty cards rather than negative ones', () => {
+            const layout = BoardLayout.fit(4, 6, 30, 30);
+
+            expect(layout.cardWidth).toBe(0);
+            expect(layout.cardHeight).toBe(0);
+        });
+    });
+
+    describe('getCell and getCardRect', () => {
+        test('an upright layout draws each card at its own row and column', () => {
+            const layout = BoardLayout.fit(3, 4, 800, 600);
+            const card = { id: 6, row: 1, col: 2 };
+
+            expect(BoardLayout.getCell(layout, card)).toEqual({ row: 1, col: 2 });
+            expect(BoardLayout.getCardRect(layout, card)).toEqual({
+                x: layout.x + 2 * (layout.cardWidth + BoardLayout.GAP),
+                y: layout.y + 1 * (layout.cardHeight + BoardLayout.GAP),
+                width: layout.cardWidth,
+                height: layout.cardHeight
+            });
+        });
+
+        test('a turned layout draws row r, col c at column r, row c', () => {
+            const layout = BoardLayout.fit(3, 4, 360, 640);
+
+            expect(BoardLayout.getCell(layout, { row: 1, col: 3 })).toEqual({ row: 3, col: 1 });
+        });
+
+        test('every card fits inside the area without touching another', () => {
+            [[3, 4, 800, 600], [3, 4, 360, 640], [4, 6, 375, 667]].forEach(([rows, cols, width, height]) => {
+                const layout = BoardLayout.fit(rows, cols, width, height);
+                const rects = grid(rows, cols).map(card => BoardLayout.getCardRect(layout, card));
+
+                rects.forEach((rect, i) => {
+                    expect(rect.x).toBeGreaterThanOrEqual(0);
+                    expect(rect.y).toBeGreaterThanOrEqual(0);
+                    expect(rect.x + rect.width).toBeLessThanOrEqual(width + 1e-9);
+                    expect(rect.y + rect.height).toBeLessThanOrEqual(height + 1e-9);
+                    rects.slice(i + 1).forEach(other => expect(overlaps(rect, other)).toBe(false));
+                });
+            });
+        });
+    });
+
+    describe('pixel density', () => {
+        const MemoryMatchGame = require('../src/js/game.js');
+        let game;
+
+        // The page loads layout.js ahead of game.js, which finds it as a global
+        beforeAll(() => {
+            global.BoardLayout = BoardLayout;
+        });
+
+        afterAll(() => {
+            delete global.BoardLayout;
+        });
+
+        beforeEach(() => {
+            const container = document.createElement('div');
+            const canvas = document.createElement('canvas');
+            container.appendChild(canvas);
+            document.body.appendChild(container);
+            Object.defineProperty(container, 'clientWidth', { value: 640 });
+
+            const engine = new GameEngine();
+            engine.start({ difficulty: 'medium', seed: 1 });
+
+            // Only what resizeCanvas needs: a canvas in the page, its context and a board to lay out
+            game = Object.assign(Object.create(MemoryMatchGame.prototype), {
+                canvas,
+                ctx: { setTransform: jest.fn() },
+                engine,
+                gameState: 'menu'
+            });
+        });
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+            window.devicePixelRatio = 1;
+        });
+
+        test('the backing store has a pixel per screen pixel, the layout stays in CSS pixels', () => {
+            window.devicePixelRatio = 2;
+            game.resizeCanvas();
+
+            const { viewWidth, viewHeight } = game;
+            expect(viewWidth).toBe(640 - MemoryMatchGame.BOARD_MARGIN);
+            expect(game.canvas.width).toBe(viewWidth * 2);
+            expect(game.canvas.height).toBe(viewHeight * 2);
+            expect(game.canvas.style.width).toBe(`${viewWidth}px`);
+            expect(game.ctx.setTransform).toHaveBeenLastCalledWith(2, 0, 0, 2, 0, 0);
+            expect(game.layout).toEqual(BoardLayout.fit(3, 4, viewWidth, viewHeight));
+        });
+
+        test('the same CSS size lays out the same board at any density', () => {
+            window.devicePixelRatio = 1;
+            game.resizeCanvas();
+            const layout = game.layout;
+
+            window.devicePixelRatio = 3;
+            game.resizeCanvas();
+
+            expect(game.layout).toEqual(layout);
+            expect(game.canvas.width).toBe(game.viewWidth * 3);
+        });
+    });
+});
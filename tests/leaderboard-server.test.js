@@ -0,0 +1,303 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameEngine = require('../src/js/engine.js');
+const { ReplayRecorder } = require('../src/js/replay.js');
+const { createServer, verifySubmission, ScoreStore, SeedIssuer } = require('../server/leaderboard-server.js');
+
+// Plays a game the way a player with a perfect memory would: turn over an unseen card, then its partner
+// when that has been seen, otherwise another unseen card; every flip `interval` ms after the last
+function playFairly(engine, clock, interval) {
+    const seen = new Map();
+    const unseen = () => engine.cards.filter(card => !card.isMatched && !card.isFlipped && !seen.has(card.id));
+    const knownPair = () => {
+        const byPair = {};
+        seen.forEach((pairId, id) => {
+            if (!engine.cards[id].isMatched) (byPair[pairId] = byPair[pairId] || []).push(id);
+        });
+        return Object.values(byPair).find(ids => ids.length === 2);
+    };
+
+    const flip = id => {
+        clock.time += interval;
+        engine.flip(id);
+        seen.set(id, engine.cards[id].pairId);
+    };
+
+    while (engine.status === 'playing') {
+        const pair = knownPair();
+        if (pair) {
+            pair.forEach(flip);
+            continue;
+        }
+
+        const first = unseen()[0];
+        flip(first.id);
+        const partner = [...seen.keys()].find(id => id !== first.id && engine.cards[id].pairId === first.pairId);
+        flip(partner !== undefined ? partner : unseen()[0].id);
+    }
+}
+
+// Turns over every pair in board order, as a player who dealt the board themselves could
+function playForged(engine, clock, interval) {
+    const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+    pairIds.forEach(pairId => {
+        engine.cards.filter(card => card.pairId === pairId).forEach(card => {
+            clock.time += interval;
+            engine.flip(card.id);
+        });
+    });
+}
+
+// A submission for a game dealt from `seed` and played by `play`
+function submit(seed, play, { difficulty = 'medium', mode = 'classic', level = 1, interval = 800 } = {}) {
+    const clock = { time: 0 };
+    const engine = new GameEngine({ difficulty, mode, level, now: () => clock.time });
+    const recorder = new ReplayRecorder(engine);
+    engine.start({ seed });
+    play(engine, clock, interval);
+
+    const result = engine.getResult();
+    return {
+        name: 'Tester',
+        difficulty,
+        mode,
+        seed: result.seed,
+        score: result.score,
+        moves: result.moves,
+        time: result.time,
+        replay: recorder.getReplay()
+    };
+}
+
+describe('verifySubmission', () => {
+    let seeds;
+
+    beforeEach(() => {
+        seeds = new SeedIssuer();
+    });
+
+    test('accepts a fairly played game dealt from an issued seed', () => {
+        const submission = submit(seeds.issue(), playFairly);
+        const { entry, error } = verifySubmission(submission, seeds);
+
+        expect(error).toBeUndefined();
+        expect(entry).toEqual(expect.objectContaining({ name: 'Tester', mode: 'classic', score: submission.score }));
+    });
+
+    test('ranks a seed only once', () => {
+        const submission = submit(seeds.issue(), playFairly);
+
+        expect(verifySubmission(submission, seeds).error).toBeUndefined();
+        expect(verifySubmission(submission, seeds).error).toMatch('already been used');
+    });
+
+    test('rejects seeds the server did not issue', () => {
+        expect(verifySubmission(submit(42, playFairly), seeds).error).toMatch('not issued');
+    });
+
+    test('rejects seeds that have expired', () => {
+        const clock = { time: 0 };
+        seeds = new SeedIssuer(() => clock.time);
+        const submission = submit(seeds.issue(), playFairly);
+
+        clock.time = 8 * 24 * 60 * 60 * 1000;
+        expect(verifySubmission(submission, seeds).error).toMatch('not issued');
+    });
+
+    test('rejects prototype keys as difficulty', () => {
+        const submission = submit(seeds.issue(), playFairly);
+
+        expect(verifySubmission({ ...submission, difficulty: 'constructor' }, seeds).error).toMatch('Unknown difficulty');
+    });
+
+    test('rejects out-of-range levels before dealing', () => {
+        const submission = submit(seeds.issue(), playFairly);
+        const started = Date.now();
+
+        const { error } = verifySubmission({ ...submission, replay: { ...submission.replay, level: 2e8 } }, seeds);
+
+        expect(error).toMatch('Invalid replay level');
+        expect(Date.now() - started).toBeLessThan(100);
+    });
+
+    test('rejects modes that are not ranked or do not match the log', () => {
+        const submission = submit(seeds.issue(), playFairly);
+
+        expect(verifySubmission({ ...submission, mode: 'study' }, seeds).error).toMatch('not ranked');
+        expect(verifySubmission({ ...submission, mode: undefined }, seeds).error).toMatch('not ranked');
+        expect(verifySubmission({ ...submission, mode: 'survival' }, seeds).error).toMatch('does not belong');
+    });
+
+    test('rejects games whose pairs were grouped by the client', () => {
+        const seed = seeds.issue();
+        const dealer = new GameEngine({ difficulty: 'hard' });
+        dealer.start({ seed });
+        const deal = dealer.cards.map(card => card.symbol);
+
+        // One "pair" holding every face on the board makes any two cards match
+        const clock = { time: 0 };
+        const engine = new GameEngine({ difficulty: 'hard', symbols: [[...new Set(deal)]], now: () => clock.time });
+        const recorder = new ReplayRecorder(engine);
+        engine.start({ seed, deal });
+        engine.cards.forEach(card => {
+            clock.time += 800;
+            engine.flip(card.id);
+        });
+
+        const result = engine.getResult();
+        expect(result.won).toBe(true);
+        expect(result.moves).toBe(8);
+
+        const { error } = verifySubmission({
+            difficulty: 'hard',
+            mode: 'classic',
+            seed: result.seed,
+            score: result.score,
+            moves: result.moves,
+            time: result.time,
+            replay: recorder.getReplay()
+        }, seeds);
+        expect(error).toMatch('classic symbols');
+    });
+
+    test('rejects hot-seat games', () => {
+        const submission = submit(seeds.issue(), playFairly);
+        const players = [{ name: 'A', color: '#f00', bot: null }, { name: 'B', color: '#00f', bot: null }];
+
+        const { error } = verifySubmission({ ...submission, replay: { ...submission.replay, players } }, seeds);
+        expect(error).toMatch('single-player');
+    });
+
+    test('rejects flips faster than a person can make', () => {
+        const submission = submit(seeds.issue(), playFairly, { interval: 100 });
+
+        expect(verifySubmission(submission, seeds).error).toMatch('impossibly fast flips');
+    });
+
+    test('rejects a forged perfect game on a big board', () => {
+        const submission = submit(seeds.issue(), playForged, { difficulty: 'expert' });
+
+        expect(submission.moves).toBe(12);
+        expect(verifySubmission(submission, seeds).error).toMatch('without having seen them');
+    });
+
+    test('rejects recalling a partner faster than a person can', () => {
+        // A miss shows two cards, then the partner of the second is revealed and the second recalled at once
+        const submission = submit(seeds.issue(), (engine, clock) => {
+            const [first] = engine.cards;
+            const second = engine.cards.find(card => card.pairId !== first.pairId);
+            const partner = engine.cards.find(card => card.pairId === second.pairId && card !== second);
+
+            [[1000, first], [2000, second], [4000, partner], [4200, second]].forEach(([time, card]) => {
+                clock.time = time;
+                engine.flip(card.id);
+            });
+        });
+
+        expect(verifySubmission(submission, seeds).error).toMatch('faster than anyone could recall');
+    });
+
+    test('rejects claims that differ from the log', () => {
+        const submission = submit(seeds.issue(), playFairly);
+
+        expect(verifySubmission({ ...submission, score: submission.score + 1 }, seeds).error).toMatch('does not match the move log');
+    });
+});
+
+describe('leaderboard server', () => {
+    let server;
+    let baseUrl;
+    let dbFile;
+    let store;
+
+    beforeEach(done => {
+        dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-')), 'scores.json');
+        store = new ScoreStore(dbFile);
+        server = createServer(store).listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        server.close(done);
+        fs.rmSync(path.dirname(dbFile), { recursive: true, force: true });
+    });
+
+    test('ranks a game dealt from a seed it issued', async () => {
+        const { seed } = await (await fetch(`${baseUrl}/seeds`, { method: 'POST' })).json();
+        const submission = submit(seed, playFairly);
+
+        const response = await fetch(`${baseUrl}/scores`, { method: 'POST', body: JSON.stringify(submission) });
+        expect(response.status).toBe(201);
+        expect(await response.json()).toEqual(expect.objectContaining({ rank: 1 }));
+
+        const { entries } = await (await fetch(`${baseUrl}/scores?difficulty=medium`)).json();
+        expect(entries).toEqual([expect.objectContaining({ seed, score: submission.score })]);
+    });
+
+    test('refuses submissions that trip up the checks and keeps serving', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        for (const body of ['{"name":{"toString":1}}', '{"difficulty":{"toString":1}}', 'null', '[]']) {
+            const response = await fetch(`${baseUrl}/scores`, { method: 'POST', body });
+            expect(response.status).toBe(422);
+        }
+
+        expect((await fetch(`${baseUrl}/seeds`, { method: 'POST' })).status).toBe(201);
+        console.error.mockRestore();
+    });
+
+    test('ranks each mode and level in its own table', async () => {
+        const rank = async options => {
+            const { seed } = await (await fetch(`${baseUrl}/seeds`, { method: 'POST' })).json();
+            const response = await fetch(`${baseUrl}/scores`, { method: 'POST', body: JSON.stringify(submit(seed, playFairly, options)) });
+            return (await response.json()).rank;
+        };
+        const rankings = async query => (await (await fetch(`${baseUrl}/scores?difficulty=medium&${query}`)).json()).entries;
+
+        expect(await rank({ mode: 'timeAttack' })).toBe(1);
+        expect(await rank({ level: 3 })).toBe(1);
+
+        expect(await rankings('')).toEqual([]);
+        expect(await rankings('mode=timeAttack')).toEqual([expect.objectContaining({ mode: 'timeAttack', level: 1 })]);
+        expect(await rankings('mode=classic&level=3')).toEqual([expect.objectContaining({ mode: 'classic', level: 3 })]);
+
+        for (const query of ['mode=study', 'level=0', 'level=1.5', `level=${GameEngine.MAX_LEVEL + 1}`]) {
+            expect((await fetch(`${baseUrl}/scores?difficulty=medium&${query}`)).status).toBe(400);
+        }
+    });
+
+    test('refuses prototype keys as difficulty and keeps serving', async () => {
+        for (const difficulty of ['constructor', '__proto__', 'toString']) {
+            const response = await fetch(`${baseUrl}/scores?difficulty=${difficulty}`);
+            expect(response.status).toBe(400);
+        }
+
+        expect(store.top({ difficulty: 'constructor' }, 10)).toEqual([]);
+        expect((await fetch(`${baseUrl}/scores?difficulty=medium`)).status).toBe(200);
+    });
+
+    test('answers a failed write with an error and keeps serving', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(store, 'save').mockImplementation(() => {
+            throw new Error('ENOSPC: no space left on device');
+        });
+
+        const { seed } = await (await fetch(`${baseUrl}/seeds`, { method: 'POST' })).json();
+        const response = await fetch(`${baseUrl}/scores`, { method: 'POST', body: JSON.stringify(submit(seed, playFairly)) });
+        expect(response.status).toBe(500);
+
+        const { entries } = await (await fetch(`${baseUrl}/scores?difficulty=medium`)).json();
+        expect(entries).toEqual([]);
+        console.error.mockRestore();
+    });
+
+    test('only hands out seeds on POST', async () => {
+        expect((await fetch(`${baseUrl}/seeds`)).status).toBe(405);
+    });
+});
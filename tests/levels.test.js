@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+const LevelCurriculum = require('../src/js/levels.js');
+
+describe('LevelCurriculum', () => {
+    const easy = { rows: 2, cols: 3, timeBonus: 50 };
+
+    describe('getConfig', () => {
+        test('deals the difficulty board at level 1', () => {
+            expect(LevelCurriculum.getConfig(easy, 1)).toEqual(easy);
+        });
+
+        test('widens, then deepens, every few levels', () => {
+            const board = level => {
+                const { rows, cols } = LevelCurriculum.getConfig(easy, level);
+                return `${cols}×${rows}`;
+            };
+
+            expect([1, 2, 3, 5, 9].map(board)).toEqual(['3×2', '3×2', '4×2', '4×3', '5×4']);
+        });
+
+        test('stops growing at the largest board, however high the level', () => {
+            const { rows, cols } = LevelCurriculum.getConfig(easy, 2e9);
+
+            expect([rows, cols]).toEqual([LevelCurriculum.MAX_ROWS, LevelCurriculum.MAX_COLS]);
+        });
+
+        test('grows the board until it holds whole sets', () => {
+            [3, 4].forEach(groupSize => {
+                for (let level = 1; level <= 30; level++) {
+                    const { rows, cols } = LevelCurriculum.getConfig(easy, level, groupSize);
+                    expect((rows * cols) % groupSize).toBe(0);
+                }
+            });
+        });
+
+        test('shrinks the time bonus down to its floor', () => {
+            expect(LevelCurriculum.getConfig(easy, 2).timeBonus).toBe(45);
+            expect(LevelCurriculum.getConfig(easy, 99).timeBonus).toBe(13);
+        });
+
+        test.each([
+            ['no board', undefined, 2],
+            ['a board without rows', { cols: 3, timeBonus: 50 }, 2],
+            ['fractional columns', { rows: 2, cols: 2.5, timeBonus: 50 }, 2],
+            ['a group size of 0', easy, 0],
+            ['a group size that is not a number', easy, 'constructor']
+        ])('throws for %s instead of hanging', (_, base, groupSize) => {
+            expect(() => LevelCurriculum.getConfig(base, 1, groupSize)).toThrow();
+        });
+    });
+
+    test('unlocks mechanics as the level rises', () => {
+        expect(LevelCurriculum.getMechanics(1)).toEqual([]);
+        expect(LevelCurriculum.getMechanics(5)).toEqual(['quickHide', 'seenPenalty']);
+        expect(LevelCurriculum.getUnlocked(7).map(mechanic => mechanic.name)).toEqual(['swap']);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+const GameLoop = require('../src/js/loop.js');
+
+// A loop driven by hand: frame(time) runs the callback the loop last asked for
+function createLoop(options = {}) {
+    const calls = [];
+    let pending = null;
+    let nextId = 1;
+
+    const loop = new GameLoop({
+        update: step => {
+            calls.push(['update', step]);
+            if (options.onUpdate) options.onUpdate(loop);
+        },
+        render: alpha => calls.push(['render', alpha]),
+        step: 10,
+        maxFrameTime: 100,
+        requestFrame: callback => {
+            pending = { id: nextId++, callback };
+            return pending.id;
+        },
+        cancelFrame: id => {
+            if (pending && pending.id === id) pending = null;
+        }
+    });
+
+    const frame = time => {
+        const { callback } = pending;
+        pending = null;
+        calls.length = 0;
+        callback(time);
+        return {
+            updates: calls.filter(([type]) => type === 'update').length,
+            alpha: calls.filter(([type]) => type === 'render').map(([, value]) => value)
+        };
+    };
+
+    return { loop, frame, hasPendingFrame: () => pending !== null };
+}
+
+describe('GameLoop', () => {
+    test('the first frame only sets the clock', () => {
+        const { loop, frame } = createLoop();
+        loop.start();
+
+        expect(frame(1000)).toEqual({ updates: 0, alpha: [0] });
+    });
+
+    test('runs one update per step of elapsed time and carries the rest over', () => {
+        const { loop, frame } = createLoop();
+        loop.start();
+        frame(1000);
+
+        expect(frame(1025)).toEqual({ updates: 2, alpha: [0.5] });
+        expect(frame(1030)).toEqual({ updates: 1, alpha: [0] });
+        expect(frame(1034)).toEqual({ updates: 0, alpha: [0.4] });
+    });
+
+    test('cuts long frames to the maximum frame time', () => {
+        const { loop, frame } = createLoop();
+        loop.start();
+        frame(1000);
+
+        expect(frame(6000).updates).toBe(10);
+    });
+
+    test('stopping drops the time it was stopped for', () => {
+        const { loop, frame, hasPendingFrame } = createLoop();
+        loop.start();
+        frame(1000);
+        frame(1015);
+
+        loop.stop();
+        expect(loop.isRunning).toBe(false);
+        expect(hasPendingFrame()).toBe(false);
+
+        loop.start();
+        expect(frame(5000)).toEqual({ updates: 0, alpha: [0] });
+        expect(frame(5010).updates).toBe(1);
+    });
+
+    test('an update that stops the loop ends the frame with a final render', () => {
+        const { loop, frame, hasPendingFrame } = createLoop({ onUpdate: current => current.stop() });
+        loop.start();
+        frame(1000);
+
+        const { updates, alpha } = frame(1050);
+        expect(updates).toBe(1);
+        expect(alpha).toHaveLength(1);
+        expect(hasPendingFrame()).toBe(false);
+        expect(loop.isRunning).toBe(false);
+    });
+
+    test('starting twice schedules one frame', () => {
+        const requestFrame = jest.fn(() => 1);
+        const loop = new GameLoop({ update() {}, render() {}, requestFrame, cancelFrame() {} });
+
+        loop.start();
+        loop.start();
+
+        expect(requestFrame).toHaveBeenCalledTimes(1);
+    });
+});
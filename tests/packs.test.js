@@ -0,0 +1,82 @@
+const { PackFormat, PackLibrary } = require('../src/js/packs.js');
+
+const pack = {
+    v: 1,
+    name: 'Spanish Animals',
+    symbols: ['🐶', '🐱'],
+    pairs: [['dog', 'perro'], ['cat', 'gato']]
+};
+
+describe('PackFormat', () => {
+    test('decodes what it encodes', () => {
+        const text = PackFormat.encode(pack);
+
+        expect(JSON.parse(text)).toEqual(pack);
+        expect(PackFormat.decode(text)).toEqual({ name: pack.name, symbols: pack.symbols, pairs: pack.pairs });
+    });
+
+    test('trims names and faces and fills in missing lists', () => {
+        const decoded = PackFormat.decode(JSON.stringify({ name: '  Fruit ', symbols: [' 🍎', '🍊 ', '🍋'] }));
+
+        expect(decoded).toEqual({ name: 'Fruit', symbols: ['🍎', '🍊', '🍋'], pairs: [] });
+    });
+
+    test.each([
+        ['text that is not JSON', '{ name: ', 'not valid JSON'],
+        ['a list', '[]', 'must be a JSON object'],
+        ['another version', { ...pack, v: 2 }, 'Unsupported pack version'],
+        ['no name', { ...pack, name: '  ' }, 'needs a "name"'],
+        ['a long name', { ...pack, name: 'x'.repeat(41) }, 'longer than 40'],
+        ['symbols that are not a list', { ...pack, symbols: '🐶🐱' }, '"symbols" must be a list'],
+        ['an empty face', { ...pack, symbols: ['🐶', ''] }, 'Symbol 2 must be a non-empty string'],
+        ['a face that is not text', { ...pack, symbols: ['🐶', 7] }, 'Symbol 2 must be a non-empty string'],
+        ['a long face', { ...pack, symbols: ['y'.repeat(25)] }, 'Symbol 1 is longer than 24'],
+        ['a pair of three faces', { ...pack, pairs: [['a', 'b', 'c']] }, 'Pair 1 must be a list of exactly two'],
+        ['a face used twice', { ...pack, pairs: [['dog', '🐶']] }, '"🐶" appears more than once'],
+        ['too few entries', { name: 'Tiny', symbols: ['a', 'b'] }, 'at least 3'],
+        ['too many entries', { name: 'Huge', symbols: Array.from({ length: 65 }, (_, i) => `s${i}`) }, 'the most allowed is 64']
+    ])('rejects %s', (_, input, message) => {
+        const text = typeof input === 'string' ? input : JSON.stringify(input);
+
+        expect(() => PackFormat.decode(text)).toThrow(message);
+    });
+
+    test('deals a pair as one entry with both faces', () => {
+        const symbols = PackFormat.getSymbols(pack);
+
+        expect(symbols).toEqual(['🐶', '🐱', ['dog', 'perro'], ['cat', 'gato']]);
+        expect(symbols[2]).not.toBe(pack.pairs[0]);
+    });
+
+    test('every built-in pack is valid', () => {
+        Object.values(PackLibrary.BUILT_IN).forEach(builtIn => {
+            expect(() => PackFormat.validate(builtIn)).not.toThrow();
+        });
+    });
+});
+
+describe('PackLibrary', () => {
+    test('lists built-in packs before imported ones', () => {
+        const imported = PackLibrary.import(PackFormat.encode(pack));
+        const ids = PackLibrary.list().map(entry => entry.id);
+
+        expect(ids.slice(0, Object.keys(PackLibrary.BUILT_IN).length)).toEqual(Object.keys(PackLibrary.BUILT_IN));
+        expect(ids[ids.length - 1]).toBe(imported.id);
+        expect(PackLibrary.get(imported.id)).toEqual(expect.objectContaining({ name: pack.name, builtIn: false }));
+    });
+
+    test('importing a pack with the same name replaces it', () => {
+        const first = PackLibrary.import(PackFormat.encode(pack));
+        const second = PackLibrary.import(PackFormat.encode({ ...pack, symbols: ['🐭'] }));
+
+        expect(second.id).toBe(first.id);
+        expect(PackLibrary.getCustom()).toEqual([expect.objectContaining({ symbols: ['🐭'] })]);
+    });
+
+    test('removes imported packs', () => {
+        const imported = PackLibrary.import(PackFormat.encode(pack));
+        PackLibrary.remove(imported.id);
+
+        expect(PackLibrary.get(imported.id)).toBeNull();
+    });
+});
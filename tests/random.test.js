@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+const { SeededRandom } = require('../src/js/utils.js');
+
+describe('SeededRandom', () => {
+    test('follows the mulberry32 sequence', () => {
+        const random = new SeededRandom(42);
+
+        expect([random.next(), random.next(), random.next()]).toEqual([
+            0.6011037519201636,
+            0.44829055899754167,
+            0.8524657934904099
+        ]);
+    });
+
+    test('the same seed gives the same sequence', () => {
+        const a = new SeededRandom('shared');
+        const b = new SeededRandom('shared');
+
+        expect(Array.from({ length: 50 }, a.next)).toEqual(Array.from({ length: 50 }, b.next));
+    });
+
+    test('stays within [0, 1)', () => {
+        const random = new SeededRandom(7);
+
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    describe('normalizeSeed', () => {
+        test('uses numbers as unsigned 32-bit integers', () => {
+            expect(SeededRandom.normalizeSeed(123)).toBe(123);
+            expect(SeededRandom.normalizeSeed(-7.9)).toBe(7);
+            expect(SeededRandom.normalizeSeed(2 ** 32 + 5)).toBe(5);
+        });
+
+        test('reads numeric strings as numbers, so ?seed=123 matches seed 123', () => {
+            expect(SeededRandom.normalizeSeed(' 123 ')).toBe(123);
+        });
+
+        test('hashes any other string', () => {
+            expect(SeededRandom.normalizeSeed('hello')).toBe(1335831723);
+            expect(SeededRandom.normalizeSeed('hello')).not.toBe(SeededRandom.normalizeSeed('hellp'));
+        });
+    });
+
+    test('nextInt covers both ends of its range', () => {
+        const random = new SeededRandom(1);
+        const seen = new Set(Array.from({ length: 200 }, () => random.nextInt(1, 6)));
+
+        expect([...seen].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('shuffle is a seeded permutation in place', () => {
+        const items = Array.from({ length: 20 }, (_, i) => i);
+        const shuffled = new SeededRandom(99).shuffle([...items]);
+
+        expect(shuffled).toEqual(new SeededRandom(99).shuffle([...items]));
+        expect(shuffled).not.toEqual(items);
+        expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+
+        const array = [...items];
+        expect(new SeededRandom(99).shuffle(array)).toBe(array);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+const GameEngine = require('../src/js/engine.js');
+const { ReplayFormat, ReplayRecorder, ReplayPlayer } = require('../src/js/replay.js');
+
+// A finished game on an easy board, recorded flip by flip
+function recordGame() {
+    const clock = { time: 0 };
+    const engine = new GameEngine({ difficulty: 'easy', now: () => clock.time });
+    const recorder = new ReplayRecorder(engine);
+    engine.start({ seed: 5 });
+
+    const pairIds = [...new Set(engine.cards.map(card => card.pairId))];
+    pairIds.forEach(pairId => {
+        engine.cards.filter(card => card.pairId === pairId).forEach(card => {
+            clock.time += 700;
+            engine.flip(card.id);
+        });
+    });
+
+    return { engine, replay: recorder.getReplay() };
+}
+
+describe('ReplayFormat', () => {
+    test('a recorded game survives encode and decode', () => {
+        const { replay } = recordGame();
+
+        expect(ReplayFormat.decode(ReplayFormat.encode(replay))).toEqual(replay);
+    });
+
+    test.each([
+        ['a prototype key as difficulty', { difficulty: 'constructor' }, 'Unknown replay difficulty'],
+        ['a prototype key as mode', { mode: 'toString' }, 'Unknown replay mode'],
+        ['a group size that is not allowed', { groupSize: 5 }, 'Unknown replay group size'],
+        ['a group size given as text', { groupSize: '3' }, 'Unknown replay group size'],
+        ['a missing level', { level: undefined }, 'Invalid replay level'],
+        ['a level below 1', { level: 0 }, 'Invalid replay level'],
+        ['a fractional level', { level: 2.5 }, 'Invalid replay level'],
+        ['a huge level', { level: 2e8 }, 'Invalid replay level'],
+        ['an event for a card that is not dealt', { events: [[100, 99]] }, 'invalid event']
+    ])('rejects %s', (_, changes, message) => {
+        const { replay } = recordGame();
+
+        expect(() => ReplayFormat.validate({ ...replay, ...changes })).toThrow(message);
+    });
+
+    test('accepts the highest level', () => {
+        const { replay } = recordGame();
+
+        expect(() => ReplayFormat.validate({ ...replay, level: GameEngine.MAX_LEVEL })).not.toThrow();
+    });
+});
+
+describe('ReplayPlayer', () => {
+    test('plays a recording back to the same result', () => {
+        const { engine, replay } = recordGame();
+        const player = new ReplayPlayer(replay);
+
+        player.advance(player.duration);
+
+        expect(player.engine.getResult()).toEqual(engine.getResult());
+    });
+});
@@ -0,0 +1,77 @@
+const SaveGame = require('../src/js/savegame.js');
+
+describe('SaveGame', () => {
+    const game = { difficulty: 'medium', seed: 1, cards: [], flippedCardIds: [] };
+
+    afterEach(() => {
+        SaveGame.VERSION = 1;
+        SaveGame.MIGRATIONS = {};
+    });
+
+    test('loads what it saved, stamped with the current version', () => {
+        SaveGame.save({ game, daily: null });
+
+        expect(SaveGame.load()).toEqual(expect.objectContaining({ v: SaveGame.VERSION, game, daily: null }));
+        expect(SaveGame.exists()).toBe(true);
+    });
+
+    test('has nothing to load before the first save and after clearing', () => {
+        expect(SaveGame.load()).toBeNull();
+
+        SaveGame.save({ game });
+        SaveGame.clear();
+
+        expect(SaveGame.exists()).toBe(false);
+    });
+
+    test('runs every migration from the saved version up to the current one, in order', () => {
+        SaveGame.save({ game });
+
+        SaveGame.VERSION = 3;
+        SaveGame.MIGRATIONS = {
+            1: snapshot => ({ ...snapshot, v: 2, game: { ...snapshot.game, lives: null } }),
+            2: snapshot => ({ ...snapshot, v: 3, game: { ...snapshot.game, lives: snapshot.game.lives ?? 3 } })
+        };
+
+        expect(SaveGame.load()).toEqual(expect.objectContaining({ v: 3, game: { ...game, lives: 3 } }));
+    });
+
+    test('leaves a current save alone', () => {
+        const migration = jest.fn();
+        SaveGame.MIGRATIONS = { 1: migration };
+        SaveGame.save({ game });
+
+        SaveGame.load();
+
+        expect(migration).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['no migration from its version', () => {
+            SaveGame.save({ game });
+            SaveGame.VERSION = 2;
+        }],
+        ['a newer version', () => {
+            StorageManager.saveGameData(SaveGame.STORAGE_KEY, { v: 2, game });
+        }],
+        ['no game', () => {
+            StorageManager.saveGameData(SaveGame.STORAGE_KEY, { v: 1 });
+        }],
+        ['a migration that throws', () => {
+            SaveGame.save({ game });
+            SaveGame.VERSION = 2;
+            SaveGame.MIGRATIONS = {
+                1: () => {
+                    throw new Error('bad save');
+                }
+            };
+        }]
+    ])('discards a save with %s', (_, prepare) => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        prepare();
+
+        expect(SaveGame.load()).toBeNull();
+        expect(StorageManager.loadGameData(SaveGame.STORAGE_KEY)).toBeNull();
+        console.warn.mockRestore();
+    });
+});
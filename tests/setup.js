@@ -0,0 +1,15 @@
+/**
+ * Memory Match Pro - Test Setup
+ * Runs before every test file, in both the jsdom and the node environments
+ */
+
+// The page loads utils.js ahead of every other script, so modules that only run in the
+// browser (stats, save games) find StorageManager and friends as globals; do the same here
+Object.assign(global, require('../src/js/utils.js'));
+
+// Saved games, stats and settings must not leak from one test into the next
+afterEach(() => {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.clear();
+    }
+});
@@ -0,0 +1,78 @@
+const { StatsManager } = require('../src/js/stats.js');
+
+// A result as GameEngine#getResult() reports it
+function result(overrides = {}) {
+    return { difficulty: 'medium', score: 500, moves: 10, matchedPairs: 6, time: 30000, won: true, ...overrides };
+}
+
+describe('StatsManager', () => {
+    test('starts with an empty summary', () => {
+        expect(StatsManager.getSummary()).toEqual(expect.objectContaining({
+            games: 0,
+            wins: 0,
+            averageScore: 0,
+            best: null,
+            currentStreak: 0
+        }));
+    });
+
+    test('records games and keeps them across loads', () => {
+        StatsManager.recordGame(result());
+        StatsManager.recordGame(result({ difficulty: 'hard' }));
+
+        expect(StatsManager.getGames()).toHaveLength(2);
+        expect(StatsManager.getGames('hard')).toEqual([expect.objectContaining({ difficulty: 'hard', accuracy: 60 })]);
+    });
+
+    test('accuracy is the share of attempts that found a pair', () => {
+        expect(StatsManager.calculateAccuracy(result({ matchedPairs: 6, moves: 8 }))).toBe(75);
+        expect(StatsManager.calculateAccuracy(result({ matchedPairs: 0, moves: 0 }))).toBe(0);
+    });
+
+    test('summarizes averages, best, worst and streaks per difficulty', () => {
+        [
+            result({ score: 300, moves: 12, time: 40000 }),
+            result({ score: 900, moves: 8, time: 20000 }),
+            result({ score: 100, moves: 20, time: 60000, matchedPairs: 3, won: false }),
+            result({ score: 900, moves: 6, time: 18000 }),
+            result({ score: 600, moves: 10, time: 26000 }),
+            result({ difficulty: 'easy', score: 5000 })
+        ].forEach(game => StatsManager.recordGame(game));
+
+        const summary = StatsManager.getSummary('medium');
+
+        expect(summary).toEqual(expect.objectContaining({
+            games: 5,
+            wins: 4,
+            totalMoves: 56,
+            totalTime: 164000,
+            averageScore: 560,
+            averageMoves: 11,
+            averageTime: 32800,
+            currentStreak: 2,
+            bestStreak: 2
+        }));
+        // Equal scores go to fewer moves
+        expect(summary.best).toEqual(expect.objectContaining({ score: 900, moves: 6 }));
+        expect(summary.worst).toEqual(expect.objectContaining({ score: 100 }));
+    });
+
+    test('keeps only the most recent games', () => {
+        const games = Array.from({ length: StatsManager.MAX_GAMES }, (_, i) => ({ ...result(), score: i }));
+        StorageManager.saveGameData(StatsManager.STORAGE_KEY, games);
+
+        StatsManager.recordGame(result({ score: -1 }));
+
+        const kept = StatsManager.getGames();
+        expect(kept).toHaveLength(StatsManager.MAX_GAMES);
+        expect(kept[0].score).toBe(1);
+        expect(kept[kept.length - 1].score).toBe(-1);
+    });
+
+    test('reset forgets every game', () => {
+        StatsManager.recordGame(result());
+        StatsManager.reset();
+
+        expect(StatsManager.getGames()).toEqual([]);
+    });
+});
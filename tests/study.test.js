@@ -0,0 +1,131 @@
+const { StudyScheduler, StudyProgress } = require('../src/js/study.js');
+
+const DAY = StudyScheduler.DAY;
+const quick = { found: true, missed: 0, slow: false };
+
+describe('StudyScheduler', () => {
+    describe('getQuality', () => {
+        test.each([
+            [quick, 5],
+            [{ found: true, missed: 0, slow: true }, 4],
+            [{ found: true, missed: 1, slow: false }, 3],
+            [{ found: true, missed: 1, slow: true }, 2],
+            [{ found: true, missed: 5, slow: true }, 0],
+            [{ found: false, missed: 0, slow: false }, 1]
+        ])('grades %j as %i', (outcome, quality) => {
+            expect(StudyScheduler.getQuality(outcome)).toBe(quality);
+        });
+    });
+
+    describe('review', () => {
+        test('passing pairs come back after 1 day, then 6, then the interval times the easiness', () => {
+            let record = StudyScheduler.createRecord();
+            const intervals = [];
+
+            for (let i = 0; i < 4; i++) {
+                record = StudyScheduler.review(record, quick, i * 100 * DAY);
+                intervals.push(record.interval);
+            }
+
+            // Each 5 adds 0.1 easiness, so the third interval uses 2.7 and the fourth 2.8
+            expect(intervals).toEqual([1, 6, Math.round(6 * 2.7), Math.round(Math.round(6 * 2.7) * 2.8)]);
+            expect(record.repetitions).toBe(4);
+            expect(record.due).toBe(300 * DAY + record.interval * DAY);
+            expect(record.lastReview).toBe(300 * DAY);
+        });
+
+        test('applies the SM-2 easiness formula', () => {
+            const record = StudyScheduler.createRecord();
+
+            expect(StudyScheduler.review(record, quick, 0).easiness).toBeCloseTo(2.6);
+            expect(StudyScheduler.review(record, { found: true, missed: 0, slow: true }, 0).easiness).toBeCloseTo(2.5);
+            expect(StudyScheduler.review(record, { found: true, missed: 1, slow: false }, 0).easiness).toBeCloseTo(2.36);
+        });
+
+        test('never lets the easiness fall below its floor', () => {
+            let record = StudyScheduler.createRecord();
+            for (let i = 0; i < 10; i++) {
+                record = StudyScheduler.review(record, { found: false, missed: 0, slow: false }, 0);
+            }
+
+            expect(record.easiness).toBe(StudyScheduler.MIN_EASINESS);
+        });
+
+        test('a failed pair starts over and is due straight away', () => {
+            let record = StudyScheduler.createRecord();
+            record = StudyScheduler.review(record, quick, 0);
+            record = StudyScheduler.review(record, quick, DAY);
+            record = StudyScheduler.review(record, { found: true, missed: 2, slow: false }, 7 * DAY);
+
+            expect(record.repetitions).toBe(0);
+            expect(record.interval).toBe(0);
+            expect(record.due).toBe(7 * DAY);
+        });
+
+        test('tallies outcomes and keeps only the latest grades', () => {
+            let record = StudyScheduler.createRecord();
+            for (let i = 0; i < 12; i++) {
+                record = StudyScheduler.review(record, i % 2 ? quick : { found: true, missed: 1, slow: true }, 0);
+            }
+
+            expect(record).toEqual(expect.objectContaining({ found: 12, missed: 6, slow: 6 }));
+            expect(record.grades).toHaveLength(StudyScheduler.HISTORY_LENGTH);
+            expect(record.grades.slice(-2)).toEqual([2, 5]);
+        });
+
+        test('leaves the record it was given untouched', () => {
+            const record = StudyScheduler.createRecord();
+            StudyScheduler.review(record, quick, 0);
+
+            expect(record).toEqual(StudyScheduler.createRecord());
+        });
+    });
+
+    test('selects overdue pairs first, then new ones, then the soonest due', () => {
+        const entries = ['a', 'b', ['c', 'see'], 'd', 'e', 'f'];
+        const records = {
+            a: { due: 5 * DAY },
+            c: { due: 1 * DAY },
+            d: { due: 2 * DAY },
+            e: { due: 3 * DAY }
+        };
+
+        const selected = StudyScheduler.select(entries, records, 5, 2 * DAY);
+
+        expect(selected).toEqual([['c', 'see'], 'd', 'b', 'f', 'e']);
+    });
+
+    test('lists weak pairs hardest first', () => {
+        const weak = StudyScheduler.getWeak({
+            easy: { easiness: 2.7, missed: 0 },
+            shaky: { easiness: 2.5, missed: 2 },
+            hard: { easiness: 1.5, missed: 1 },
+            harder: { easiness: 1.5, missed: 4 }
+        });
+
+        expect(weak.map(pair => pair.pairId)).toEqual(['harder', 'hard', 'shaky']);
+    });
+});
+
+describe('StudyProgress', () => {
+    test('records reviews per pack', () => {
+        StudyProgress.record('spanish', { dog: quick, cat: { found: false, missed: 0, slow: false } }, 0);
+        StudyProgress.record('spanish', { dog: quick }, DAY);
+        StudyProgress.record('times', { '2×3': quick }, 0);
+
+        const spanish = StudyProgress.load('spanish');
+        expect(spanish.dog.repetitions).toBe(2);
+        expect(spanish.cat.repetitions).toBe(0);
+        expect(Object.keys(StudyProgress.load('times'))).toEqual(['2×3']);
+    });
+
+    test('resets one pack only', () => {
+        StudyProgress.record('spanish', { dog: quick }, 0);
+        StudyProgress.record('times', { '2×3': quick }, 0);
+
+        StudyProgress.reset('spanish');
+
+        expect(StudyProgress.load('spanish')).toEqual({});
+        expect(StudyProgress.load('times')).not.toEqual({});
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * @jest-environment node
+ */
+const WebSocket = require('ws');
+
+// Short enough to wait out, long enough for a dropped client to reconnect (its first retry is after 1 s)
+process.env.RECONNECT_GRACE = '1500';
+
+const { createServer } = require('../server/versus-server.js');
+const VersusClient = require('../src/js/versus.js');
+
+jest.setTimeout(15000);
+
+// Per-tab session storage for each client
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Resolves with the first state from the server that passes the check
+function waitForState(client, check) {
+    if (client.state && check(client.state, client)) return Promise.resolve(client.state);
+
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Timed out waiting for a versus state')), 5000);
+        const listener = state => {
+            if (!check(state, client)) return;
+            clearTimeout(timeout);
+            client.off('state', listener);
+            resolve(state);
+        };
+        client.on('state', listener);
+    });
+}
+
+function waitForMessage(client, event) {
+    return new Promise(resolve => client.once(event, (...args) => resolve(args)));
+}
+
+describe('online versus', () => {
+    let server;
+    let url;
+    let clients;
+
+    beforeEach(done => {
+        clients = [];
+        server = createServer().listen(0, () => {
+            url = `ws://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    // Rooms whose players just left wait out their grace period; once the server has seen everyone go,
+    // close them so no timer outlives the test
+    afterEach(async () => {
+        clients.forEach(client => client.destroy());
+
+        const rooms = () => [...server.rooms.values()];
+        for (let i = 0; i < 100 && rooms().some(room => room.seats.some(seat => seat.connected)); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        rooms().forEach(room => room.close());
+
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function connect() {
+        const client = new VersusClient(url, { WebSocket, storage: memoryStorage() });
+        clients.push(client);
+        return client;
+    }
+
+    // Two players in a fresh room with the game running; the server's engine shows the faces
+    async function startGame(difficulty = 'easy') {
+        const alice = connect();
+        const bob = connect();
+
+        alice.createRoom('Alice', difficulty);
+        await waitForMessage(alice, 'joined');
+        bob.joinRoom(alice.code.toLowerCase(), 'Bob');
+
+        await Promise.all([alice, bob].map(client => waitForState(client, state => state.status === 'playing')));
+        return { alice, bob, room: server.rooms.get(alice.code) };
+    }
+
+    // Two face-down cards that are not a pair, and a pair
+    function findCards(room) {
+        const hidden = room.engine.cards.filter(card => !card.isMatched);
+        const [first] = hidden;
+        return {
+            miss: [first.id, hidden.find(card => card.pairId !== first.pairId).id],
+            pair: [first.id, hidden.find(card => card !== first && card.pairId === first.pairId).id]
+        };
+    }
+
+    test('seats the two players and hides the faces of face-down cards', async () => {
+        const { alice, bob } = await startGame();
+
+        expect(alice.seat).toBe(0);
+        expect(bob.seat).toBe(1);
+        expect(bob.state.seats.map(seat => seat.name)).toEqual(['Alice', 'Bob']);
+        expect(alice.isMyTurn).toBe(true);
+        expect(bob.isMyTurn).toBe(false);
+        expect(bob.engine.cards.every(card => card.symbol === null)).toBe(true);
+    });
+
+    test('refuses flips out of turn', async () => {
+        const { bob } = await startGame();
+
+        bob.send({ type: 'flip', cardId: 0 });
+        const [reason] = await waitForMessage(bob, 'rejected');
+
+        expect(reason).toBe('It is not your turn');
+    });
+
+    test('a match keeps the turn and scores for its finder', async () => {
+        const { alice, bob, room } = await startGame();
+        const { pair } = findCards(room);
+
+        alice.flip(pair[0]);
+        await waitForState(alice, (state, client) => client.engine.flippedCards.length === 1);
+        alice.flip(pair[1]);
+        await waitForState(bob, (state, client) => client.engine.matchedPairs === 1);
+
+        expect(bob.engine.currentPlayerIndex).toBe(0);
+        expect(bob.engine.players[0].pairs).toBe(1);
+        expect(bob.engine.cards[pair[0]].symbol).toBe(room.engine.cards[pair[0]].symbol);
+    });
+
+    test('a miss passes the turn and the server turns the cards back after its delay', async () => {
+        const { alice, bob, room } = await startGame();
+        const { miss } = findCards(room);
+
+        alice.flip(miss[0]);
+        await waitForState(alice, (state, client) => client.engine.flippedCards.length === 1);
+        alice.flip(miss[1]);
+
+        await waitForState(bob, (state, client) => client.engine.hasPendingMismatch());
+        const missedAt = Date.now();
+        expect(bob.engine.currentPlayerIndex).toBe(1);
+
+        // Nobody flips until the cards are back down, not even the player whose turn it now is
+        bob.send({ type: 'flip', cardId: miss[0] });
+        expect((await waitForMessage(bob, 'rejected'))[0]).toBe('Wait for the cards to turn back');
+
+        await waitForState(bob, (state, client) => client.engine.flippedCards.length === 0);
+        expect(Date.now() - missedAt).toBeGreaterThanOrEqual(900);
+        expect(bob.isMyTurn).toBe(true);
+        expect(bob.flip(miss[0])).toBe(true);
+    });
+
+    test('a player who drops out can rejoin within the grace period', async () => {
+        const { alice, bob } = await startGame();
+
+        alice.socket.terminate();
+        await waitForState(bob, state => !state.seats[0].connected);
+
+        await waitForState(bob, state => state.seats[0].connected);
+        const state = await waitForState(alice, current => current.revision === bob.state.revision);
+
+        expect(state.status).toBe('playing');
+        expect(alice.seat).toBe(0);
+        expect(alice.isMyTurn).toBe(true);
+    });
+
+    test('a player who stays away past the grace period forfeits', async () => {
+        const { alice, bob } = await startGame('medium');
+
+        bob.close();
+        await waitForState(alice, state => !state.seats[1].connected);
+        const state = await waitForState(alice, current => current.status === 'abandoned');
+
+        expect(state.forfeitedBy).toBe(1);
+        expect(server.rooms.has(alice.code)).toBe(true);
+    });
+
+    test('answers hostile frames with an error and keeps running', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const socket = new WebSocket(url);
+        const replies = [];
+        socket.on('message', data => replies.push(JSON.parse(data)));
+        await new Promise(resolve => socket.on('open', resolve));
+
+        [
+            '{"type":"__proto__"}',
+            '{"type":"constructor"}',
+            '{"type":"hasOwnProperty"}',
+            '{"type":{"toString":1}}',
+            'null',
+            'not json',
+            '{"type":"create","difficulty":"constructor"}',
+            '{"type":"create","difficulty":"easy","groupSize":"__proto__"}',
+            '{"type":"join","code":{"toString":1}}'
+        ].forEach(frame => socket.send(frame));
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        socket.close();
+
+        expect(replies).toHaveLength(9);
+        expect(replies.every(reply => reply.type === 'error')).toBe(true);
+        expect(server.rooms.size).toBe(0);
+        console.error.mockRestore();
+
+        // Still serving games
+        await startGame();
+    });
+});